@@ -0,0 +1,44 @@
+// Send a signed webhook event to the API, as the fake payment provider would.
+// Used to settle charges made with payment_method "pm_card_async" in local dev.
+//
+// Usage: node scripts/fake-payment-webhook.js <event type> <ref> [failure reason]
+//   node scripts/fake-payment-webhook.js charge.succeeded fake_ch_...
+//   node scripts/fake-payment-webhook.js charge.failed fake_ch_... "Insufficient funds"
+//   node scripts/fake-payment-webhook.js refund.succeeded fake_re_...
+// Requires Node 18+ (global fetch)
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config.json');
+const { signWebhook } = require('../src/payments/providers/fake');
+
+async function run() {
+  const [type, ref, failureReason] = process.argv.slice(2);
+  if (!type || !ref) {
+    console.error('Usage: node scripts/fake-payment-webhook.js <event type> <ref> [failure reason]');
+    process.exit(1);
+  }
+
+  const base = process.env.BASE_URL || 'http://localhost:4000';
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET || config.payments.webhookSecret;
+  const refKey = type.startsWith('refund.') ? 'refund_ref' : 'provider_ref';
+  const body = JSON.stringify({
+    id: `evt_${uuidv4()}`,
+    type,
+    data: { [refKey]: ref, failure_reason: failureReason },
+  });
+
+  const res = await fetch(`${base}/api/v1/payments/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Payment-Signature': signWebhook(body, secret),
+    },
+    body,
+  });
+  console.log(res.status, await res.text());
+}
+
+run().catch(err => {
+  console.error(err && err.stack ? err.stack : err);
+  process.exit(1);
+});
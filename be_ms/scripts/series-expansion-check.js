@@ -0,0 +1,171 @@
+// Checks for the recurrence expansion of booking series (src/series expandOccurrences).
+// Needs no database or Redis: expandOccurrences is pure. Loading the models starts a
+// MongoDB connection attempt, so the script exits as soon as the checks are done.
+// Usage: node scripts/series-expansion-check.js   (exit code 1 if any check fails)
+
+const assert = require('assert');
+const config = require('../config/config.json');
+const { expandOccurrences } = require('../src/series');
+const { parseDay, parseDateTime } = require('../src/mongodb');
+
+const MAX_OCCURRENCES = config.series.maxOccurrences;
+
+// First occurrence the way POST /booking-series resolves it (see resolveBookingRange)
+function dayRange(start, end, timeZone = 'UTC') {
+  return { startDate: parseDay(start, timeZone), endDate: parseDay(end, timeZone), slotMinutes: null };
+}
+
+function slotRange(start, end, timeZone, slotMinutes = 60) {
+  return { startDate: parseDateTime(start, timeZone), endDate: parseDateTime(end, timeZone), slotMinutes };
+}
+
+function days(result) {
+  assert.ifError(result.error);
+  return result.occurrences.map(o => o.startDate.toISOString().slice(0, 10));
+}
+
+function instants(result) {
+  assert.ifError(result.error);
+  return result.occurrences.map(o => [o.startDate.toISOString(), o.endDate.toISOString()]);
+}
+
+const checks = [
+  ['daily with count', () => {
+    const result = expandOccurrences({ freq: 'daily', count: 3 }, dayRange('2030-01-01', '2030-01-02'), 'UTC');
+    assert.deepStrictEqual(days(result), ['2030-01-01', '2030-01-02', '2030-01-03']);
+  }],
+
+  ['daily with interval and until (inclusive)', () => {
+    const result = expandOccurrences(
+      { freq: 'daily', interval: 2, until: '2030-01-07' },
+      dayRange('2030-01-01', '2030-01-02'),
+      'UTC',
+    );
+    assert.deepStrictEqual(days(result), ['2030-01-01', '2030-01-03', '2030-01-05', '2030-01-07']);
+  }],
+
+  ['occurrences keep the length of the first one', () => {
+    const result = expandOccurrences({ freq: 'weekly', count: 2 }, dayRange('2030-01-01', '2030-01-04'), 'UTC');
+    assert.deepStrictEqual(
+      result.occurrences.map(o => [o.startDate.toISOString().slice(0, 10), o.endDate.toISOString().slice(0, 10)]),
+      [['2030-01-01', '2030-01-04'], ['2030-01-08', '2030-01-11']],
+    );
+  }],
+
+  ['weekly defaults to the weekday of start_date', () => {
+    const result = expandOccurrences({ freq: 'weekly', count: 3 }, dayRange('2030-01-02', '2030-01-03'), 'UTC');
+    assert.deepStrictEqual(days(result), ['2030-01-02', '2030-01-09', '2030-01-16']);
+  }],
+
+  ['weekly BYDAY skips days before start_date in the first week', () => {
+    // 2030-01-02 is a Wednesday; Monday of that week comes before the anchor
+    const result = expandOccurrences(
+      { freq: 'weekly', by_day: ['MO', 'WE'], count: 4 },
+      dayRange('2030-01-02', '2030-01-03'),
+      'UTC',
+    );
+    assert.deepStrictEqual(days(result), ['2030-01-02', '2030-01-07', '2030-01-09', '2030-01-14']);
+  }],
+
+  ['weekly BYDAY with interval', () => {
+    const result = expandOccurrences(
+      { freq: 'weekly', interval: 2, by_day: ['TU', 'FR'], count: 4 },
+      dayRange('2030-01-01', '2030-01-02'),
+      'UTC',
+    );
+    assert.deepStrictEqual(days(result), ['2030-01-01', '2030-01-04', '2030-01-15', '2030-01-18']);
+  }],
+
+  ['monthly on the same day skips months without it', () => {
+    const result = expandOccurrences({ freq: 'monthly', count: 3 }, dayRange('2030-01-31', '2030-02-01'), 'UTC');
+    assert.deepStrictEqual(days(result), ['2030-01-31', '2030-03-31', '2030-05-31']);
+  }],
+
+  ['monthly BYDAY ordinal (second Tuesday)', () => {
+    const result = expandOccurrences(
+      { freq: 'monthly', by_day: ['2TU'], count: 3 },
+      dayRange('2030-01-08', '2030-01-09'),
+      'UTC',
+    );
+    assert.deepStrictEqual(days(result), ['2030-01-08', '2030-02-12', '2030-03-12']);
+  }],
+
+  ['monthly BYDAY negative ordinal (last Friday)', () => {
+    const result = expandOccurrences(
+      { freq: 'monthly', by_day: ['-1FR'], until: '2030-03-31' },
+      dayRange('2030-01-25', '2030-01-26'),
+      'UTC',
+    );
+    assert.deepStrictEqual(days(result), ['2030-01-25', '2030-02-22', '2030-03-29']);
+  }],
+
+  ['monthly fifth weekday skips months without one', () => {
+    // Fifth Mondays in 2030: Apr 29, Jul 29, Sep 30, Dec 30
+    const result = expandOccurrences(
+      { freq: 'monthly', by_day: ['5MO'], count: 3 },
+      dayRange('2030-04-29', '2030-04-30'),
+      'UTC',
+    );
+    assert.deepStrictEqual(days(result), ['2030-04-29', '2030-07-29', '2030-09-30']);
+  }],
+
+  ['slot occurrences keep their local time across a DST change', () => {
+    // Europe/Berlin moves to summer time on 2030-03-31: 10:00 local is 09:00Z, then 08:00Z
+    const result = expandOccurrences(
+      { freq: 'weekly', count: 2 },
+      slotRange('2030-03-25T10:00', '2030-03-25T11:00', 'Europe/Berlin'),
+      'Europe/Berlin',
+    );
+    assert.deepStrictEqual(instants(result), [
+      ['2030-03-25T09:00:00.000Z', '2030-03-25T10:00:00.000Z'],
+      ['2030-04-01T08:00:00.000Z', '2030-04-01T09:00:00.000Z'],
+    ]);
+  }],
+
+  ['until with an offset is read as a day in the room timezone', () => {
+    // 02:00 on Jan 4 in Tokyo is still Jan 3 (noon) in New York
+    const result = expandOccurrences(
+      { freq: 'daily', until: '2030-01-04T02:00:00+09:00' },
+      dayRange('2030-01-01', '2030-01-02', 'America/New_York'),
+      'America/New_York',
+    );
+    assert.deepStrictEqual(days(result), ['2030-01-01', '2030-01-02', '2030-01-03']);
+  }],
+
+  ['needs exactly one of count and until', () => {
+    const first = dayRange('2030-01-01', '2030-01-02');
+    assert.ok(expandOccurrences({ freq: 'daily' }, first, 'UTC').error);
+    assert.ok(expandOccurrences({ freq: 'daily', count: 2, until: '2030-01-05' }, first, 'UTC').error);
+  }],
+
+  ['rejects until before start_date', () => {
+    const result = expandOccurrences({ freq: 'daily', until: '2029-12-31' }, dayRange('2030-01-01', '2030-01-02'), 'UTC');
+    assert.ok(result.error);
+  }],
+
+  ['rejects malformed and non-monthly ordinal by_day', () => {
+    const first = dayRange('2030-01-01', '2030-01-02');
+    assert.ok(expandOccurrences({ freq: 'weekly', by_day: ['XX'], count: 2 }, first, 'UTC').error);
+    assert.ok(expandOccurrences({ freq: 'weekly', by_day: ['2TU'], count: 2 }, first, 'UTC').error);
+  }],
+
+  [`caps a series at series.maxOccurrences (${MAX_OCCURRENCES})`, () => {
+    const first = dayRange('2030-01-01', '2030-01-02');
+    assert.strictEqual(expandOccurrences({ freq: 'daily', count: MAX_OCCURRENCES }, first, 'UTC').occurrences.length, MAX_OCCURRENCES);
+    assert.ok(expandOccurrences({ freq: 'daily', count: MAX_OCCURRENCES + 1 }, first, 'UTC').error);
+    assert.ok(expandOccurrences({ freq: 'daily', until: '2040-01-01' }, first, 'UTC').error);
+  }],
+];
+
+let failed = 0;
+for (const [name, check] of checks) {
+  try {
+    check();
+    console.log(`ok   ${name}`);
+  } catch (err) {
+    failed += 1;
+    console.log(`FAIL ${name}\n     ${err.message.split('\n').join('\n     ')}`);
+  }
+}
+console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const config = require('../../config/config.json');
+const { redis } = require('../redis');
+const { User } = require('../mongodb');
+const notifications = require('../notifications');
+
+/* CONFIG */
+const APP_URL = (process.env.APP_URL || config.accounts.appUrl).replace(/\/+$/, '');
+const VERIFICATION_TOKEN_HOURS = config.accounts.verificationTokenHours;
+const RESET_TOKEN_MINUTES = config.accounts.resetTokenMinutes;
+const RESET_REQUESTS_PER_WINDOW = config.accounts.resetRequestsPerWindow;
+const RESET_REQUEST_WINDOW_SECONDS = config.accounts.resetRequestWindowMinutes * 60;
+const SALT_ROUNDS = config.security.bcrypt.saltRounds;
+
+/**
+ * Password strength rules, shared by register and password reset
+ * @param {string} password
+ * @returns {string|null} What is wrong with the password, or null if it is acceptable
+ */
+function passwordError(password) {
+  if (password.length < 8) {
+    return 'Password must be at least 8 characters long';
+  }
+  if (!/[A-Z]/.test(password) || !/[a-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain uppercase, lowercase, and numbers';
+  }
+  return null;
+}
+
+// A random token for an emailed link; only its hash is stored
+function createToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue an email verification token and queue the email with its link. A new
+ * token replaces any earlier one.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+async function sendEmailVerification(user) {
+  const { token, hash } = createToken();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        email_verification_token_hash: hash,
+        email_verification_expires_at: new Date(Date.now() + VERIFICATION_TOKEN_HOURS * 60 * 60 * 1000),
+      },
+    },
+  );
+  await notifications.notifyAccount('account.verify_email', user, {
+    name: user.name || null,
+    url: `${APP_URL}/verify-email?token=${token}`,
+    expires_hours: VERIFICATION_TOKEN_HOURS,
+  });
+}
+
+/**
+ * Use up an email verification token
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<Object|null>} The verified user, or null if the token is unknown, used or expired
+ */
+function verifyEmail(token) {
+  const now = new Date();
+  return User.findOneAndUpdate(
+    {
+      email_verification_token_hash: hashToken(token),
+      email_verification_expires_at: { $gt: now },
+      is_active: true,
+    },
+    {
+      $set: { email_verified: true, email_verified_at: now },
+      $unset: { email_verification_token_hash: 1, email_verification_expires_at: 1 },
+    },
+    { new: true },
+  );
+}
+
+// Reset requests per address, counted like failed logins in ../lockout: the
+// counter (account:reset:<email>) expires resetRequestWindowMinutes after the first
+async function allowResetRequest(email) {
+  const key = `account:reset:${email}`;
+  const [, [, requests]] = await redis
+    .multi()
+    .set(key, 0, 'EX', RESET_REQUEST_WINDOW_SECONDS, 'NX')
+    .incr(key)
+    .exec();
+  return requests <= RESET_REQUESTS_PER_WINDOW;
+}
+
+/**
+ * Issue a password reset token for an active account and queue the email. Does
+ * nothing for unknown or deactivated addresses, or once the address has had
+ * resetRequestsPerWindow requests in the window (known or not, so the limit
+ * reveals nothing either); callers respond the same either way.
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  const address = String(email).trim().toLowerCase();
+  if (!(await allowResetRequest(address))) return;
+
+  const user = await User.findOne({ email: address, is_active: true });
+  if (!user) return;
+
+  const { token, hash } = createToken();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        password_reset_token_hash: hash,
+        password_reset_expires_at: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+      },
+    },
+  );
+  await notifications.notifyAccount('account.password_reset', user, {
+    name: user.name || null,
+    url: `${APP_URL}/reset-password?token=${token}`,
+    expires_minutes: RESET_TOKEN_MINUTES,
+  });
+}
+
+/**
+ * Use up a password reset token and set the new password. The reset link proves
+ * the user reads the address, so the email also counts as verified. Tokens issued
+ * before the change stop working (see password_changed_at).
+ * @param {string} token - Token from the emailed link
+ * @param {string} password - New password, already checked with passwordError
+ * @returns {Promise<Object|null>} The user, or null if the token is unknown, used or expired
+ */
+async function resetPassword(token, password) {
+  const hash = await bcrypt.hash(password, SALT_ROUNDS);
+  const now = new Date();
+  return User.findOneAndUpdate(
+    {
+      password_reset_token_hash: hashToken(token),
+      password_reset_expires_at: { $gt: now },
+      is_active: true,
+    },
+    {
+      $set: { password_hash: hash, password_changed_at: now, email_verified: true, email_verified_at: now },
+      $unset: { password_reset_token_hash: 1, password_reset_expires_at: 1 },
+    },
+    { new: true },
+  );
+}
+
+module.exports = {
+  passwordError,
+  sendEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+};
@@ -1,52 +1,118 @@
+const net = require('net');
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
 const config = require('../config/config.json');
 const schema = require('../config/schema.json');
-const { mongoose, User, Room, Availability, Booking, normalizeDate, getDateRange, serverInfo } = require('./mongodb');
-const { acquireLock, releaseLock, getIdempotencyKey, setIdempotencyKey } = require('./redis');
+const {
+  mongoose, User, Room, Availability, Booking, BookingSeries, GroupBooking, DiscountCode, WaitlistEntry, AuditLog, initializeAvailability,
+  normalizeDate, getDateRange, getSlotRange, getBookingDates, parseDay, parseDateTime, formatInZone, formatDay, serverInfo,
+} = require('./mongodb');
+const {
+  acquireLock, releaseLock, acquireLocks, releaseLocks, getIdempotencyKey, setIdempotencyKey,
+} = require('./redis');
+const pricing = require('./pricing');
+const searchCache = require('./cache');
+const realtime = require('./realtime');
+const waitlist = require('./waitlist');
+const payments = require('./payments');
+const notifications = require('./notifications');
+const calendar = require('./calendar');
+const bookingSeries = require('./series');
+const tokens = require('./auth');
+const accounts = require('./accounts');
+const lockout = require('./lockout');
 
 const app = express();
 
+// req.ip (login throttling, audit records) is the connecting address unless the
+// proxies in front are trusted: a hop count, or their addresses / subnets
+// ("loopback, 10.0.0.0/8"). `true` trusts any X-Forwarded-For, which clients can forge.
+function trustProxySetting(value) {
+  if (typeof value !== 'string') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY || config.server.trustProxy));
+
 // Allow all origins by reflecting the request origin — keeps credentials working
 const corsOptions = {
   origin: true, // reflect request origin
   credentials: true,
   allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  exposedHeaders: ['X-Next-Cursor', 'X-Cache', 'Content-Disposition'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   optionsSuccessStatus: 204,
 };
 
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
-app.use(bodyParser.json());
+const PAYMENT_WEBHOOK_PATH = '/api/v1/payments/webhook';
+
+app.use(bodyParser.json({
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl === PAYMENT_WEBHOOK_PATH) req.rawBody = buf;
+  },
+}));
 
 /* CONFIG */
-const JWT_SECRET = process.env.JWT_SECRET || config.jwt.secret;
+const CALENDAR_CANCELLED_DAYS = config.calendar.cancelledDays;
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL
+  ? process.env.REQUIRE_VERIFIED_EMAIL !== '0'
+  : config.accounts.requireVerifiedEmail;
 
 // ---------------------- JSON SCHEMA VALIDATION ----------------------
 const ajv = new Ajv({ allErrors: true, removeAdditional: true });
-addFormats(ajv);
+// Query strings arrive as strings; coerce them to the schema types (and single values to arrays)
+const queryAjv = new Ajv({ allErrors: true, removeAdditional: true, coerceTypes: 'array' });
 
-// Add custom format for objectId
-ajv.addFormat('objectId', {
-  type: 'string',
-  validate: (str) => /^[0-9a-fA-F]{24}$/.test(str),
-});
+for (const instance of [ajv, queryAjv]) {
+  addFormats(instance);
+
+  // Add custom format for objectId
+  instance.addFormat('objectId', {
+    type: 'string',
+    validate: (str) => /^[0-9a-fA-F]{24}$/.test(str),
+  });
+}
 
 // Compile validators from schema
 const validators = {
   register: ajv.compile(schema.definitions.RegisterRequest),
   login: ajv.compile(schema.definitions.LoginRequest),
+  refreshToken: ajv.compile(schema.definitions.RefreshTokenRequest),
+  accountToken: ajv.compile(schema.definitions.AccountTokenRequest),
+  passwordResetRequest: ajv.compile(schema.definitions.PasswordResetRequest),
+  passwordResetConfirm: ajv.compile(schema.definitions.PasswordResetConfirmRequest),
   booking: ajv.compile(schema.definitions.BookingRequest),
-  searchRooms: ajv.compile(schema.definitions.SearchRoomsQuery),
+  bookingSeries: ajv.compile(schema.definitions.BookingSeriesRequest),
+  modifyBookingSeries: ajv.compile(schema.definitions.ModifyBookingSeriesRequest),
+  groupBooking: ajv.compile(schema.definitions.GroupBookingRequest),
+  quote: ajv.compile(schema.definitions.QuoteRequest),
+  searchRooms: queryAjv.compile(schema.definitions.SearchRoomsQuery),
+  roomAvailability: queryAjv.compile(schema.definitions.RoomAvailabilityQuery),
+  listBookings: queryAjv.compile(schema.definitions.ListBookingsQuery),
+  availabilityStream: queryAjv.compile(schema.definitions.AvailabilityStreamQuery),
+  cancelBooking: ajv.compile(schema.definitions.CancelBookingRequest),
+  adminCancelBooking: ajv.compile(schema.definitions.AdminCancelBookingRequest),
+  adminListBookings: queryAjv.compile(schema.definitions.AdminListBookingsQuery),
+  adminUnlock: ajv.compile(schema.definitions.AdminUnlockRequest),
+  adminListAuditLog: queryAjv.compile(schema.definitions.AdminListAuditLogQuery),
+  modifyBooking: ajv.compile(schema.definitions.ModifyBookingRequest),
+  createRoom: ajv.compile(schema.definitions.CreateRoomRequest),
+  updateRoom: ajv.compile(schema.definitions.UpdateRoomRequest),
+  updateRoomUnits: ajv.compile(schema.definitions.UpdateRoomUnitsRequest),
+  createDiscountCode: ajv.compile(schema.definitions.CreateDiscountCodeRequest),
+  confirmBooking: ajv.compile(schema.definitions.ConfirmBookingRequest),
+  joinWaitlist: ajv.compile(schema.definitions.JoinWaitlistRequest),
+  notificationPreferences: ajv.compile(schema.definitions.NotificationPreferencesRequest),
 };
 
 // Format validation errors into user-friendly messages
@@ -62,8 +128,14 @@ function formatValidationErrors(errors) {
       return `${field} must be a valid ${err.params.format}`;
     case 'minLength':
       return `${field} must be at least ${err.params.limit} characters`;
+    case 'maxLength':
+      return `${field} cannot exceed ${err.params.limit} characters`;
+    case 'enum':
+      return `${field} must be one of: ${err.params.allowedValues.join(', ')}`;
     case 'minimum':
       return `${field} must be at least ${err.params.limit}`;
+    case 'maximum':
+      return `${field} cannot exceed ${err.params.limit}`;
     case 'pattern':
       return `${field} format is invalid`;
     default:
@@ -89,18 +161,14 @@ function validate(validatorName) {
   };
 }
 
-// Custom validation for date ranges
+// Custom validation for date ranges.
+// "Start date cannot be in the past" depends on the room's timezone and is checked in the handlers.
 function validateDateRange(req, res, next) {
   const { start_date, end_date } = req.body;
   if (start_date && end_date) {
     const start = new Date(start_date);
     const end = new Date(end_date);
-    const now = new Date();
-    now.setHours(0, 0, 0, 0);
         
-    if (start < now) {
-      return res.status(400).send({ error: 'Start date cannot be in the past' });
-    }
     if (end < start) {
       return res.status(400).send({ error: 'End date must be after start date' });
     }
@@ -128,6 +196,80 @@ function validateSearchDateRange(req, res, next) {
   next();
 }
 
+// Password strength rules shared by register and password reset
+function validatePasswordStrength(req, res, next) {
+  const error = accounts.passwordError(req.body.password);
+  if (error) return res.status(400).send({ error });
+  next();
+}
+
+// Quantity limits shared by booking and quote
+function validateQuantity(req, res, next) {
+  const { quantity } = req.body;
+  const qty = parseInt(quantity || 1, 10);
+    
+  if (qty < 1) {
+    return res.status(400).send({ error: 'Quantity must be at least 1' });
+  }
+  if (qty > 100) {
+    return res.status(400).send({ error: 'Quantity cannot exceed 100' });
+  }
+  next();
+}
+
+// Parse a booking's start/end for a room. Slot rooms book exact [start, end) times;
+// day rooms book whole days. Both are read in the room's timezone so days match
+// what the site sees. Returns { error } if the range cannot be booked.
+function resolveBookingRange(room, start_date, end_date) {
+  const timeZone = room.timezone;
+  if (room.booking_mode === 'slot') {
+    const startDate = parseDateTime(start_date, timeZone);
+    const endDate = parseDateTime(end_date, timeZone);
+    const slotError = room.validateSlotRange(startDate, endDate);
+    if (slotError) return { error: slotError };
+    if (startDate < new Date()) return { error: 'Start time cannot be in the past' };
+    return { startDate, endDate, slotMinutes: room.slot_minutes };
+  }
+
+  const startDate = parseDay(start_date, timeZone);
+  const endDate = parseDay(end_date, timeZone);
+  if (startDate < normalizeDate(new Date(), timeZone)) return { error: 'Start date cannot be in the past' };
+  if (endDate <= startDate) return { error: 'End date must be after start date' };
+  return { startDate, endDate, slotMinutes: null };
+}
+
+// Tell the search cache and live subscribers that some of a room's days (or slots) changed.
+// Call after the change is committed.
+async function availabilityChanged(room, dates) {
+  await searchCache.invalidateRoomDates(room, dates);
+  await realtime.publishAvailabilityChange(room, dates);
+}
+
+// Respond with a booking after a payment attempt: successStatus once confirmed (or when
+// no charge was attempted, as for holds), 202 while the provider settles the charge, and
+// 402 if it failed - the booking then stays pending until hold_expires_at so the client
+// can retry with PATCH /bookings/:id/confirm
+async function sendChargedBooking(res, bookingId, successStatus, extra = {}) {
+  const booking = await Booking.findById(bookingId)
+    .populate('room_id', 'name location capacity price_cents')
+    .populate('user_id', 'email name');
+  const body = { booking: booking.toPublicJSON(), ...extra };
+  const paymentStatus = booking.payment ? booking.payment.status : null;
+
+  if (booking.status === 'pending' && paymentStatus === 'failed') {
+    return res.status(402).send({ error: 'Payment failed', reason: booking.payment.failure_reason, ...body });
+  }
+  if (booking.status === 'pending' && ['processing', 'pending'].includes(paymentStatus)) {
+    return res.status(202).send(body);
+  }
+  return res.status(successStatus).send(body);
+}
+
+// Format an Availability date for responses: YYYY-MM-DD for days, room-local timestamp for slots
+function formatAvailabilityDate(date, slotMinutes, timeZone) {
+  return slotMinutes ? formatInZone(date, timeZone) : formatDay(date);
+}
+
 // ---------------------- RATE LIMIT ----------------------
 app.use(rateLimit({ 
   windowMs: config.security.rateLimit.windowMs, 
@@ -135,32 +277,94 @@ app.use(rateLimit({
 }));
 
 // ---------------------- AUTH MIDDLEWARE ----------------------
-function auth(req, res, next) {
+// Tokens (iat in seconds) issued before the last password reset no longer count
+function issuedBeforePasswordChange(user, issuedAt) {
+  if (!user.password_changed_at || !issuedAt) return false;
+  return issuedAt < Math.floor(user.password_changed_at.getTime() / 1000);
+}
+
+// Accepts a valid, unrevoked access token of an active user
+async function auth(req, res, next) {
   const h = req.headers.authorization;
   if (!h) return res.status(401).send({ error: 'Missing token' });
 
   const token = h.split(' ')[1];
+  let payload;
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
+    payload = await tokens.verifyAccessToken(token);
+  } catch (e) {
+    if (e.name === 'TokenRevokedError') return res.status(401).send({ error: 'Token revoked' });
+    if (e.name === 'TokenExpiredError') return res.status(401).send({ error: 'Token expired' });
+    if (e.name === 'JsonWebTokenError' || e.name === 'NotBeforeError') {
+      return res.status(401).send({ error: 'Invalid token' });
+    }
+    console.error(e);
+    return res.status(500).send({ error: 'server error' });
+  }
+
+  try {
+    // Deactivation, role and password changes take effect immediately, not when the token expires
+    const user = await User.findById(payload.id).select('is_active role email_verified password_changed_at');
+    if (!user || !user.is_active) return res.status(401).send({ error: 'Account is deactivated' });
+    if (issuedBeforePasswordChange(user, payload.iat)) {
+      return res.status(401).send({ error: 'Password changed; please log in again' });
+    }
+    payload.role = user.role;
+    payload.email_verified = user.email_verified;
   } catch (e) {
-    return res.status(401).send({ error: 'Invalid token' });
+    if (e.name === 'CastError') return res.status(401).send({ error: 'Invalid token' });
+    console.error(e);
+    return res.status(500).send({ error: 'server error' });
   }
+
+  req.user = payload;
+  next();
 }
 
-// ---------------------- REGISTER ----------------------
-app.post('/api/v1/users/register', validate('register'), (req, res, next) => {
-  const { password } = req.body;
-    
-  // Additional password strength validation
-  if (password.length < 8) {
-    return res.status(400).send({ error: 'Password must be at least 8 characters long' });
+// EventSource cannot send headers, so streams also accept ?access_token=<jwt>; must run before auth
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
   }
-  if (!/[A-Z]/.test(password) || !/[a-z]/.test(password) || !/[0-9]/.test(password)) {
-    return res.status(400).send({ error: 'Password must contain uppercase, lowercase, and numbers' });
+  delete req.query.access_token;
+  next();
+}
+
+// ---------------------- AUTHORIZATION ----------------------
+// Must run after auth, which sets req.user.role from the user record
+function requireRole(...roles) {
+  const error = roles.length === 1
+    ? `${roles[0].charAt(0).toUpperCase()}${roles[0].slice(1)} access required`
+    : `One of these roles is required: ${roles.join(', ')}`;
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).send({ error });
+    }
+    next();
+  };
+}
+
+const requireAdmin = requireRole('admin');
+
+// Must run after auth. With accounts.requireVerifiedEmail (or REQUIRE_VERIFIED_EMAIL=1),
+// routes that create bookings need a verified email address
+function requireVerifiedEmail(req, res, next) {
+  if (REQUIRE_VERIFIED_EMAIL && !req.user.email_verified) {
+    return res.status(403).send({ error: 'Email address not verified' });
   }
   next();
-}, async (req, res) => {
+}
+
+// Restrict a lookup of user-owned documents (bookings, series, groups, waitlist
+// entries) to the caller's own. With allowAdmin, admins may read anyone's.
+// Not-owned documents are then simply not found (404), so IDs do not leak.
+function ownedBy(req, query = {}, { allowAdmin = false } = {}) {
+  if (allowAdmin && req.user.role === 'admin') return query;
+  return { ...query, user_id: req.user.id };
+}
+
+// ---------------------- REGISTER ----------------------
+app.post('/api/v1/users/register', validate('register'), validatePasswordStrength, async (req, res) => {
   const { email, password, name } = req.body;
 
   try {
@@ -172,11 +376,16 @@ app.post('/api/v1/users/register', validate('register'), (req, res, next) => {
       name: name || null,
     });
 
-    const token = jwt.sign({ id: user._id, email: user.email }, JWT_SECRET, {
-      expiresIn: config.jwt.expiresIn,
-    });
+    const issued = await tokens.issueTokens(user);
+
+    // The account exists either way; a failed email can be re-requested
+    try {
+      await accounts.sendEmailVerification(user);
+    } catch (err) {
+      console.error(err);
+    }
 
-    res.status(201).send({ token, user: user.toPublicJSON() });
+    res.status(201).send({ ...issued, user: user.toPublicJSON() });
   } catch (err) {
     if (err.code === 11000)
       return res.status(409).send({ error: 'User exists' });
@@ -190,23 +399,31 @@ app.post('/api/v1/users/register', validate('register'), (req, res, next) => {
 });
 
 // ---------------------- LOGIN ----------------------
+// Failed attempts are counted per account and per client address (see src/lockout):
+// repeated failures first slow the account down, then lock it or the address out
 app.post('/api/v1/users/login', validate('login'), async (req, res) => {
   const { email, password } = req.body;
 
   try {
+    const blocked = await lockout.checkLogin(email, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).send({ error: blocked.error, retry_after: blocked.retryAfter });
+    }
+
     // Include password_hash in query since it's excluded by default
     const user = await User.findOne({ email, is_active: true }).select('+password_hash');
-    if (!user) return res.status(401).send({ error: 'Invalid credentials' });
-
-    const ok = await bcrypt.compare(password, user.password_hash);
-    if (!ok) return res.status(401).send({ error: 'Invalid credentials' });
+    const ok = user ? await bcrypt.compare(password, user.password_hash) : false;
+    if (!ok) {
+      await lockout.recordFailure(email, req.ip, user);
+      return res.status(401).send({ error: 'Invalid credentials' });
+    }
 
-    const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, JWT_SECRET, {
-      expiresIn: config.jwt.expiresIn,
-    });
+    await lockout.recordSuccess(email);
+    const issued = await tokens.issueTokens(user);
 
     res.send({
-      token,
+      ...issued,
       user: user.toPublicJSON(),
     });
   } catch (err) {
@@ -215,31 +432,280 @@ app.post('/api/v1/users/login', validate('login'), async (req, res) => {
   }
 });
 
+// ---------------------- REFRESH TOKEN ----------------------
+// Trade a refresh token for a new access token and a new refresh token (rotation).
+// A refresh token works once; replaying a used one revokes its session.
+app.post('/api/v1/users/refresh', validate('refreshToken'), async (req, res) => {
+  try {
+    const consumed = await tokens.consumeRefreshToken(req.body.refresh_token);
+    if (consumed.error) return res.status(401).send({ error: consumed.error });
+
+    const user = await User.findOne({ _id: consumed.user_id, is_active: true });
+    if (!user) {
+      await tokens.revokeSession(consumed.sid);
+      return res.status(401).send({ error: 'Account is deactivated' });
+    }
+    if (issuedBeforePasswordChange(user, consumed.issued_at)) {
+      await tokens.revokeSession(consumed.sid);
+      return res.status(401).send({ error: 'Password changed; please log in again' });
+    }
+
+    const issued = await tokens.issueTokens(user, consumed.sid);
+    res.send({ ...issued, user: user.toPublicJSON() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- LOGOUT ----------------------
+// Revokes the access token and ends its session, so its refresh token stops working
+app.post('/api/v1/users/logout', auth, async (req, res) => {
+  try {
+    await tokens.revokeAccessToken(req.user);
+    res.send({ message: 'Logged out' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- EMAIL VERIFICATION ----------------------
+// Send a new verification link (register sends the first one)
+app.post('/api/v1/users/verify-email/request', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.email_verified) return res.status(400).send({ error: 'Email address is already verified' });
+
+    await accounts.sendEmailVerification(user);
+    res.status(202).send({ message: 'Verification email sent' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.post('/api/v1/users/verify-email/confirm', validate('accountToken'), async (req, res) => {
+  try {
+    const user = await accounts.verifyEmail(req.body.token);
+    if (!user) return res.status(400).send({ error: 'Invalid or expired token' });
+
+    res.send({ message: 'Email address verified', user: user.toPublicJSON() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- PASSWORD RESET ----------------------
+// Same response whether or not the email has an account, sent before the lookup:
+// issuing a token takes longer than finding no account, so waiting for it would
+// tell the two apart
+app.post('/api/v1/users/password-reset/request', validate('passwordResetRequest'), (req, res) => {
+  res.status(202).send({ message: 'If an account exists for this email, a reset link has been sent' });
+
+  accounts.requestPasswordReset(req.body.email).catch(err => {
+    console.error('[accounts] password reset request failed:', err && err.message ? err.message : err);
+  });
+});
+
+// Sets the new password; every session started before the reset is logged out, and
+// a login lockout on the account is lifted (the guessed password no longer works)
+app.post('/api/v1/users/password-reset/confirm', validate('passwordResetConfirm'), validatePasswordStrength, async (req, res) => {
+  try {
+    const user = await accounts.resetPassword(req.body.token, req.body.password);
+    if (!user) return res.status(400).send({ error: 'Invalid or expired token' });
+
+    await lockout.unlockAccount(user.email, { userId: user._id, reason: 'Password reset' });
+
+    res.send({ message: 'Password updated; please log in again' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- NOTIFICATION PREFERENCES ----------------------
+// Opt out of (or back into) booking emails; applies to messages not yet delivered
+app.put('/api/v1/users/me/notifications', auth, validate('notificationPreferences'), async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, is_active: true },
+      { $set: { email_notifications: req.body.email_notifications } },
+      { new: true },
+    );
+    if (!user) return res.status(404).send({ error: 'User not found' });
+
+    res.send({ user: user.toPublicJSON() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
 // ---------------------- SEARCH ROOMS ----------------------
+// Sort options for search results; `id` is always appended as a tie-breaker so
+// the order is total and cursors are stable
+const SEARCH_SORTS = {
+  location: [['location', 1], ['name', 1]],
+  name: [['name', 1]],
+  price_asc: [['price_cents', 1]],
+  price_desc: [['price_cents', -1]],
+  capacity_asc: [['capacity', 1]],
+  capacity_desc: [['capacity', -1]],
+  availability: [['available_units', -1]],
+};
+
+// Opaque cursor: the sort option plus the sort key values of the last room returned
+function encodeSearchCursor(sort, room) {
+  const values = SEARCH_SORTS[sort].map(([field]) => room[field]);
+  return Buffer.from(JSON.stringify({ sort, values, id: String(room.id) })).toString('base64url');
+}
+
+function decodeSearchCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort !== sort || !Array.isArray(decoded.values) || decoded.values.length !== SEARCH_SORTS[sort].length) {
+      return null;
+    }
+    if (!mongoose.Types.ObjectId.isValid(decoded.id)) return null;
+    return { values: decoded.values, id: new mongoose.Types.ObjectId(decoded.id) };
+  } catch (e) {
+    return null;
+  }
+}
+
+// $match selecting rooms strictly after the cursor in the given sort order
+function searchCursorMatch(sort, cursor) {
+  const keys = [...SEARCH_SORTS[sort], ['id', 1]];
+  const values = [...cursor.values, cursor.id];
+  const branches = keys.map(([field, dir], i) => {
+    const branch = {};
+    for (let j = 0; j < i; j++) branch[keys[j][0]] = values[j];
+    branch[field] = { [dir === 1 ? '$gt' : '$lt']: values[i] };
+    return branch;
+  });
+  return { $or: branches };
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 app.get('/api/v1/rooms/search', auth, validate('searchRooms'), validateSearchDateRange, async (req, res) => {
-  const { start, end } = req.query;
+  const {
+    start, end, mode, min_capacity, amenities, location, floor,
+    min_price_cents, max_price_cents, quantity, cursor, partial,
+  } = req.query;
+  const slotMode = mode === 'slot';
+  const qty = quantity || 1;
+  const sort = req.query.sort || 'location';
+  // Pages only when asked for (limit or cursor); otherwise every match, as before pagination
+  const paginated = req.query.limit != null || Boolean(cursor);
+  const limit = paginated ? req.query.limit || config.search.defaultPageSize : null;
+
+  if (min_price_cents != null && max_price_cents != null && min_price_cents > max_price_cents) {
+    return res.status(400).send({ error: 'min_price_cents cannot exceed max_price_cents' });
+  }
+
+  let after = null;
+  if (cursor) {
+    after = decodeSearchCursor(cursor, sort);
+    if (!after) return res.status(400).send({ error: 'Invalid cursor' });
+  }
+
+  // Slot search: [start, end) in exact times, on each room's slot grid from `start`.
+  // Times without an offset are taken as UTC since rooms may span timezones.
+  // Day keys are each room's local calendar days, so the date as written applies everywhere.
+  const startDate = slotMode ? parseDateTime(start, 'UTC') : parseDay(start);
+  const endDate = slotMode ? parseDateTime(end, 'UTC') : parseDay(end);
+
+  // Accept both repeated params and comma-separated lists; rooms must have all of them
+  const requiredAmenities = [...new Set((amenities || [])
+    .flatMap(a => a.split(','))
+    .map(a => a.trim())
+    .filter(Boolean))].sort();
+
+  // Normalized query: the cache key, and what invalidation matches rooms against
+  const searchParams = {
+    mode: slotMode ? 'slot' : 'day',
+    start: startDate.toISOString(),
+    end: endDate.toISOString(),
+    min_capacity,
+    amenities: requiredAmenities,
+    location: location ? location.toLowerCase() : undefined,
+    floor,
+    min_price_cents,
+    max_price_cents,
+    quantity: qty,
+    partial: Boolean(partial),
+    sort,
+    limit,
+    cursor,
+  };
+
+  const cacheEntry = await searchCache.lookup(searchParams);
+  if (cacheEntry && cacheEntry.value) {
+    res.set('X-Cache', 'HIT');
+    if (cacheEntry.value.next_cursor) res.set('X-Next-Cursor', cacheEntry.value.next_cursor);
+    return res.send(cacheEntry.value.rooms);
+  }
 
   try {
-    const startDate = normalizeDate(new Date(start));
-    const endDate = normalizeDate(new Date(end));
+    // A row is usable when it has `qty` units free. A booking of the whole range
+    // needs a usable row for every day (or slot); a missing row is a gap too.
+    const usable = { $gte: ['$available_units', qty] };
+    const conditions = [];
+    let dateMatch;
+    let roomMatch;
+    let requiredUnits;
+    if (slotMode) {
+      dateMatch = { kind: 'slot', date: { $gte: startDate, $lt: endDate } };
+      roomMatch = { 'room.is_active': true, 'room.booking_mode': 'slot' };
+      const slotMs = { $multiply: ['$room.slot_minutes', 60 * 1000] };
+      requiredUnits = { $divide: [endDate - startDate, slotMs] };
+      conditions.push({ $eq: [{ $mod: [{ $subtract: ['$firstDate', startDate] }, slotMs] }, 0] });
+    } else {
+      dateMatch = { kind: { $ne: 'slot' }, date: { $gte: startDate, $lte: endDate } };
+      roomMatch = { 'room.is_active': true };
+      requiredUnits = getDateRange(startDate, endDate).length;
+    }
+
+    // Partial mode also returns rooms free on only some of the range, listing the gaps
+    conditions.push(partial ? { $gt: ['$usableDays', 0] } : { $eq: ['$usableDays', requiredUnits] });
+    roomMatch.$expr = { $and: conditions };
+
+    // Room filters
+    if (min_capacity) roomMatch['room.capacity'] = { $gte: min_capacity };
+    if (requiredAmenities.length > 0) roomMatch['room.amenities'] = { $all: requiredAmenities };
+    if (location) roomMatch['room.location'] = { $regex: escapeRegex(location), $options: 'i' };
+    if (floor != null) roomMatch['room.floor'] = floor;
+    if (min_price_cents != null || max_price_cents != null) {
+      roomMatch['room.price_cents'] = {};
+      if (min_price_cents != null) roomMatch['room.price_cents'].$gte = min_price_cents;
+      if (max_price_cents != null) roomMatch['room.price_cents'].$lte = max_price_cents;
+    }
+
+    const sortStage = {};
+    for (const [field, dir] of SEARCH_SORTS[sort]) sortStage[field] = dir;
+    sortStage.id = 1;
 
     // Aggregate availability with active rooms only
     const rooms = await Availability.aggregate([
       {
-        $match: {
-          date: { $gte: startDate, $lte: endDate },
-          available_units: { $gt: 0 },
-        },
+        $match: dateMatch,
       },
       {
         $group: {
           _id: '$room_id',
-          minAvailable: { $min: '$available_units' },
-          totalDays: { $sum: 1 },
+          minAvailable: { $min: { $cond: [usable, '$available_units', null] } },
+          usableDays: { $sum: { $cond: [usable, 1, 0] } },
+          firstDate: { $min: '$date' },
+          ...(partial ? { usableDates: { $push: { $cond: [usable, '$date', null] } } } : {}),
         },
       },
       {
-        $match: { minAvailable: { $gt: 0 } },
+        $match: { usableDays: { $gt: 0 } },
       },
       {
         $lookup: {
@@ -251,9 +717,7 @@ app.get('/api/v1/rooms/search', auth, validate('searchRooms'), validateSearchDat
       },
       { $unwind: '$room' },
       {
-        $match: {
-          'room.is_active': true,
-        },
+        $match: roomMatch,
       },
       {
         $project: {
@@ -266,14 +730,44 @@ app.get('/api/v1/rooms/search', auth, validate('searchRooms'), validateSearchDat
           price_cents: '$room.price_cents',
           amenities: '$room.amenities',
           images: '$room.images',
+          total_units: '$room.total_units',
+          timezone: { $ifNull: ['$room.timezone', config.availability.defaultTimezone] },
+          booking_mode: { $ifNull: ['$room.booking_mode', 'day'] },
+          slot_minutes: '$room.slot_minutes',
           available_units: '$minAvailable',
           free_units: '$minAvailable',
-          available_days: '$totalDays',
+          available_days: '$usableDays',
+          ...(partial ? { required_days: requiredUnits, usable_dates: '$usableDates' } : {}),
         },
       },
-      { $sort: { location: 1, name: 1 } },
+      ...(after ? [{ $match: searchCursorMatch(sort, after) }] : []),
+      { $sort: sortStage },
+      ...(paginated ? [{ $limit: limit + 1 }] : []),
     ]);
 
+    // The extra room only tells us whether there is another page
+    let nextCursor = null;
+    if (paginated && rooms.length > limit) {
+      rooms.pop();
+      nextCursor = encodeSearchCursor(sort, rooms[rooms.length - 1]);
+      res.set('X-Next-Cursor', nextCursor);
+    }
+
+    if (partial) {
+      for (const room of rooms) {
+        const slotMinutes = slotMode ? room.slot_minutes : null;
+        const usableTimes = new Set(room.usable_dates.filter(Boolean).map(d => d.getTime()));
+        const wanted = slotMode ? getSlotRange(startDate, endDate, slotMinutes) : getDateRange(startDate, endDate);
+        room.gap_days = wanted
+          .filter(d => !usableTimes.has(d.getTime()))
+          .map(d => formatAvailabilityDate(d, slotMinutes, room.timezone));
+        room.fully_available = room.gap_days.length === 0;
+        delete room.usable_dates;
+      }
+    }
+
+    await searchCache.store(cacheEntry, searchParams, { rooms, next_cursor: nextCursor });
+    if (cacheEntry) res.set('X-Cache', 'MISS');
     res.send(rooms);
   } catch (err) {
     console.error(err);
@@ -281,20 +775,140 @@ app.get('/api/v1/rooms/search', auth, validate('searchRooms'), validateSearchDat
   }
 });
 
-// ---------------------- BOOKING ----------------------
-app.post('/api/v1/booking', auth, validate('booking'), validateDateRange, (req, res, next) => {
-  const { quantity } = req.body;
-  const qty = parseInt(quantity || 1, 10);
-    
-  if (qty < 1) {
-    return res.status(400).send({ error: 'Quantity must be at least 1' });
+// ---------------------- ROOM DETAILS ----------------------
+app.get('/api/v1/rooms/:id', auth, async (req, res) => {
+  try {
+    const room = await Room.findOne({ _id: req.params.id, is_active: true });
+    if (!room) return res.status(404).send({ error: 'Room not found or inactive' });
+
+    res.send({ room: room.toPublicJSON() });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid room ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
   }
-  if (qty > 100) {
-    return res.status(400).send({ error: 'Quantity cannot exceed 100' });
+});
+
+// ---------------------- ROOM AVAILABILITY ----------------------
+app.get('/api/v1/rooms/:id/availability', auth, validate('roomAvailability'), validateSearchDateRange, async (req, res) => {
+  const { start, end } = req.query;
+
+  try {
+    const room = await Room.findOne({ _id: req.params.id, is_active: true });
+    if (!room) return res.status(404).send({ error: 'Room not found or inactive' });
+
+    const startDate = parseDay(start, room.timezone);
+    const endDate = parseDay(end, room.timezone);
+    const slotMode = room.booking_mode === 'slot';
+
+    // Day rooms: one entry per day. Slot rooms: one entry per slot within opening hours.
+    const entries = slotMode ? room.getSlotStarts(startDate, endDate) : getDateRange(startDate, endDate);
+    const lastEntry = entries.length > 0 ? entries[entries.length - 1] : endDate;
+
+    const records = await Availability.findByRoomAndDateRange(room._id, startDate, lastEntry);
+    const byDate = new Map(records.map(r => [r.date.getTime(), r]));
+
+    // Entries without an Availability row are not bookable
+    const availability = entries.map(date => {
+      const record = byDate.get(date.getTime());
+      const entry = slotMode
+        ? {
+          date: formatInZone(date, room.timezone),
+          end_time: formatInZone(new Date(date.getTime() + room.slot_minutes * 60 * 1000), room.timezone),
+        }
+        : { date: formatDay(date) };
+      entry.total_units = record ? record.total_units : 0;
+      entry.available_units = record ? record.available_units : 0;
+      return entry;
+    });
+
+    res.send({
+      room_id: room._id,
+      room_name: room.name,
+      timezone: room.timezone,
+      booking_mode: room.booking_mode,
+      slot_minutes: room.slot_minutes,
+      start_date: formatDay(startDate),
+      end_date: formatDay(endDate),
+      availability,
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid room ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
   }
-  next();
-}, async (req, res) => {
-  const { room_id, start_date, end_date, quantity, notes } = req.body;
+});
+
+// ---------------------- AVAILABILITY STREAM ----------------------
+// Server-sent events: an `availability` event with the new counts whenever a
+// booking, cancellation or admin change touches a subscribed room and day
+app.get('/api/v1/availability/stream', tokenFromQuery, auth, validate('availabilityStream'), async (req, res) => {
+  const { room_id, start, end } = req.query;
+  const startDay = start ? parseDay(start) : null;
+  const endDay = end ? parseDay(end) : null;
+
+  if (startDay && endDay && endDay < startDay) {
+    return res.status(400).send({ error: 'End date must be after start date' });
+  }
+
+  // The stream outlives this request, so logout, revocation, deactivation and
+  // password resets are re-checked on every heartbeat and end it
+  const claims = req.user;
+  const authorize = async () => {
+    if (await tokens.isRevoked(claims)) return false;
+    const user = await User.findById(claims.id).select('is_active password_changed_at');
+    return Boolean(user && user.is_active && !issuedBeforePasswordChange(user, claims.iat));
+  };
+
+  try {
+    await realtime.subscribe(req, res, { roomIds: room_id || [], start: startDay, end: endDay, authorize });
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) res.status(503).send({ error: 'Availability stream unavailable' });
+  }
+});
+
+// ---------------------- QUOTE ----------------------
+// Same price computation as POST /booking, without reserving anything
+app.post('/api/v1/booking/quote', auth, validate('quote'), validateDateRange, validateQuantity, async (req, res) => {
+  const { room_id, start_date, end_date, quantity, discount_code } = req.body;
+  const qty = parseInt(quantity || 1, 10);
+
+  try {
+    const room = await Room.findOne({ _id: room_id, is_active: true });
+    if (!room) return res.status(404).send({ error: 'Room not found or inactive' });
+
+    const range = resolveBookingRange(room, start_date, end_date);
+    if (range.error) return res.status(400).send({ error: range.error });
+
+    let discount = null;
+    if (discount_code) {
+      const code = await DiscountCode.findUsable(discount_code, room._id);
+      if (!code) return res.status(400).send({ error: 'Invalid or expired discount code' });
+      discount = pricing.discountTerms(code);
+    }
+
+    const price = pricing.quote(room, { ...range, quantity: qty, discount });
+    res.send({ room_id: room._id, start_date, end_date, quantity: qty, price });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid room ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- BOOKING ----------------------
+app.post('/api/v1/booking', auth, requireVerifiedEmail, validate('booking'), validateDateRange, validateQuantity, async (req, res) => {
+  const { room_id, start_date, end_date, quantity, notes, discount_code, hold_minutes, payment_method } = req.body;
   const userId = req.user.id;
   const userEmail = req.user.email || null;
   const qty = parseInt(quantity || 1, 10);
@@ -314,6 +928,7 @@ app.post('/api/v1/booking', auth, validate('booking'), validateDateRange, (req,
 
   // Start a session only if server supports transactions
   const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+  let bookingId = null;
 
   try {
     if (session) await session.startTransaction();
@@ -337,14 +952,30 @@ app.post('/api/v1/booking', auth, validate('booking'), validateDateRange, (req,
       return res.status(404).send({ error: 'Room not found or inactive' });
     }
 
-    const startDate = normalizeDate(new Date(start_date));
-    const endDate = normalizeDate(new Date(end_date));
-    const days = getDateRange(startDate, endDate);
+    const range = resolveBookingRange(room, start_date, end_date);
+    if (range.error) {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: range.error });
+    }
+    const { startDate, endDate, slotMinutes } = range;
+    const timeZone = room.timezone;
+    const days = getBookingDates(startDate, endDate, slotMinutes);
+
+    // Check the discount code before touching availability
+    let discount = null;
+    if (discount_code) {
+      const code = await DiscountCode.findUsable(discount_code, room._id, { session });
+      if (!code) {
+        if (session) await session.abortTransaction();
+        return res.status(400).send({ error: 'Invalid or expired discount code' });
+      }
+      discount = pricing.discountTerms(code);
+    }
 
-    // Calculate total price (removed - price calculation handled elsewhere)
-    const nights = days.length;
+    // Calculate total price; stored on the booking as an immutable snapshot
+    const price = pricing.quote(room, { startDate, endDate, slotMinutes, quantity: qty, discount });
 
-    // Decrement availability for each day
+    // Decrement availability for each day (or slot)
     for (const date of days) {
       let q = Availability.updateOne(
         {
@@ -362,7 +993,16 @@ app.post('/api/v1/booking', auth, validate('booking'), validateDateRange, (req,
         if (session) await session.abortTransaction();
         return res
           .status(409)
-          .send({ error: `Insufficient availability for date ${date.toISOString().split('T')[0]}` });
+          .send({ error: `Insufficient availability for date ${formatAvailabilityDate(date, slotMinutes, timeZone)}` });
+      }
+    }
+
+    // Count the redemption last so a failed booking does not use it up
+    if (discount) {
+      const redeemed = await DiscountCode.redeem(discount.code, room._id, { session });
+      if (!redeemed) {
+        if (session) await session.abortTransaction();
+        return res.status(409).send({ error: 'Discount code is no longer available' });
       }
     }
 
@@ -379,6 +1019,12 @@ app.post('/api/v1/booking', auth, validate('booking'), validateDateRange, (req,
     //   contactEmail = userEmail;
     // }
 
+    // The booking stays pending, holding its units, until paid: right below, or for
+    // a hold, via PATCH /bookings/:id/confirm. Unpaid bookings are released on expiry.
+    const holdExpiresAt = hold_minutes
+      ? new Date(Date.now() + hold_minutes * 60 * 1000)
+      : payments.paymentDeadline();
+
     const booking = await Booking.create(
       [
         {
@@ -386,27 +1032,27 @@ app.post('/api/v1/booking', auth, validate('booking'), validateDateRange, (req,
           room_id,
           start_date: startDate,
           end_date: endDate,
+          slot_minutes: slotMinutes,
+          timezone: timeZone,
           quantity: qty,
-          status: 'confirmed',
+          price,
+          status: 'pending',
+          hold_expires_at: holdExpiresAt,
           notes: notes || null,
           contact_email: contactEmail,
         },
       ],
       createOpts,
     );
+    await notifications.notifyBooking('booking.created', booking[0], { session, room });
 
     if (session) await session.commitTransaction();
+    await availabilityChanged(room, days);
 
     if (idemKey) {
       await setIdempotencyKey(idemKey, booking[0]._id.toString(), config.booking.idempotencyTTL);
     }
-
-    // Populate room and user details
-    const populatedBooking = await Booking.findById(booking[0]._id)
-      .populate('room_id', 'name location capacity price_cents')
-      .populate('user_id', 'email name');
-
-    res.status(201).send({ booking: populatedBooking.toPublicJSON() });
+    bookingId = booking[0]._id;
   } catch (err) {
     console.error(err);
     if (session) await session.abortTransaction();
@@ -418,12 +1064,1855 @@ app.post('/api/v1/booking', auth, validate('booking'), validateDateRange, (req,
       return res.status(400).send({ error: 'Invalid room ID format' });
     }
         
-    res.status(500).send({ error: 'server error' });
+    return res.status(500).send({ error: 'server error' });
   } finally {
     if (session) session.endSession();
     await releaseLock(lockKey, token);
   }
-});
+  if (!bookingId) return;
 
+  // Charge outside the room lock; the pending booking keeps the units meanwhile
+  try {
+    if (!hold_minutes) await payments.chargeBooking(bookingId, { paymentMethod: payment_method });
+    await sendChargedBooking(res, bookingId, 201);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- LIST BOOKINGS ----------------------
+app.get('/api/v1/bookings', auth, validate('listBookings'), async (req, res) => {
+  const { status, start_date, end_date } = req.query;
+
+  try {
+    // Only the caller's own bookings; pending/confirmed unless a status is requested
+    const query = Booking.findActiveByUser(req.user.id);
+    if (status) query.where({ status });
+
+    // Keep bookings that overlap the requested window
+    if (start_date) query.where('end_date').gte(parseDay(start_date));
+    if (end_date) query.where('start_date').lte(parseDay(end_date));
+
+    const bookings = await query;
+
+    res.send({ bookings: bookings.map(b => b.toPublicJSON()) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- BOOKING CALENDAR ----------------------
+// Registered before GET /bookings/:id, which would otherwise read "<id>.ics" as the id
+app.get('/api/v1/bookings/:id.ics', auth, async (req, res) => {
+  try {
+    const booking = await Booking.findOne(ownedBy(req, { _id: req.params.id }, { allowAdmin: true }))
+      .populate('room_id', 'name location');
+
+    if (!booking) return res.status(404).send({ error: 'Booking not found' });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="booking-${booking._id}.ics"`);
+    res.send(calendar.renderCalendar([booking]));
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid booking ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- CALENDAR FEED ----------------------
+function calendarFeedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/api/v1/calendar/${token}.ics`;
+}
+
+// Create (or replace) the caller's feed URL; a previous URL stops working
+app.post('/api/v1/users/me/calendar-feed', auth, async (req, res) => {
+  try {
+    const { token, hash } = calendar.createFeedToken();
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, is_active: true },
+      { $set: { calendar_token_hash: hash } },
+    );
+    if (!user) return res.status(404).send({ error: 'User not found' });
+
+    res.status(201).send({ url: calendarFeedUrl(req, token) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.delete('/api/v1/users/me/calendar-feed', auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendar_token_hash: 1 } });
+    res.send({ message: 'Calendar feed disabled' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// Calendar apps cannot send an Authorization header: the token in the URL is the credential.
+// Serves the user's pending/confirmed bookings plus recent cancellations, so subscribed
+// calendars drop cancelled events (STATUS:CANCELLED) instead of keeping them forever.
+app.get('/api/v1/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendar_token_hash: calendar.hashFeedToken(req.params.token),
+      is_active: true,
+    });
+    if (!user) return res.status(404).send({ error: 'Calendar feed not found' });
+
+    const since = new Date(Date.now() - CALENDAR_CANCELLED_DAYS * 24 * 60 * 60 * 1000);
+    const active = await Booking.findActiveByUser(user._id);
+    const cancelled = await Booking.findCancelledByUser(user._id, since);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    res.send(calendar.renderCalendar([...active, ...cancelled], { name: 'Room bookings', feed: true }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- GET BOOKING ----------------------
+app.get('/api/v1/bookings/:id', auth, async (req, res) => {
+  try {
+    const booking = await Booking.findOne(ownedBy(req, { _id: req.params.id }, { allowAdmin: true }))
+      .populate('room_id', 'name location capacity price_cents')
+      .populate('user_id', 'email name');
+
+    if (!booking) return res.status(404).send({ error: 'Booking not found' });
+
+    res.send({ booking: booking.toPublicJSON() });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid booking ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- CONFIRM BOOKING ----------------------
+// Pay for a pending booking - a hold made with POST /booking { hold_minutes }, a
+// booking whose charge failed, or a waitlist booking - and confirm it before it expires
+app.patch('/api/v1/bookings/:id/confirm', auth, validate('confirmBooking'), async (req, res) => {
+  const { payment_method } = req.body;
+
+  try {
+    const booking = await Booking.findOne(ownedBy(req, { _id: req.params.id }));
+    if (!booking) return res.status(404).send({ error: 'Booking not found' });
+
+    if (booking.status !== 'pending') {
+      return res.status(400).send({ error: `Only pending bookings can be confirmed (booking is ${booking.status})` });
+    }
+    if (booking.hold_expires_at && booking.hold_expires_at <= new Date()) {
+      return res.status(409).send({ error: 'Hold has expired' });
+    }
+
+    // No room lock needed: units are already reserved, and only one charge can
+    // claim the booking; if the hold expires mid-charge the payment is refunded
+    const charged = await payments.chargeBooking(booking._id, { paymentMethod: payment_method });
+    if (!charged) return res.status(409).send({ error: 'Payment already in progress' });
+
+    await sendChargedBooking(res, booking._id, 200);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid booking ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- CANCEL BOOKING ----------------------
+// Cancel the booking matching `filter` (its id, plus the owner for users) under the
+// room lock, refund it and respond. Shared by the user and admin cancel routes.
+async function cancelBooking(req, res, filter, reason) {
+  // Look up the room first so we can take the same lock POST /booking uses
+  let existing;
+  try {
+    existing = await Booking.findOne(filter).select('room_id');
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid booking ID format' });
+    }
+    console.error(err);
+    return res.status(500).send({ error: 'server error' });
+  }
+  if (!existing) return res.status(404).send({ error: 'Booking not found' });
+
+  // Redis lock
+  const lockKey = `lock:room:${existing.room_id}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+
+  let cancelled = null;
+  let dates;
+  try {
+    if (session) await session.startTransaction();
+
+    // Re-read under the lock so a concurrent cancel cannot restore units twice
+    const bookingFindQ = Booking.findOne({ ...filter, _id: existing._id });
+    if (session) bookingFindQ.session(session);
+    const booking = await bookingFindQ;
+    if (!booking) {
+      if (session) await session.abortTransaction();
+      return res.status(404).send({ error: 'Booking not found' });
+    }
+    if (booking.status === 'cancelled' || booking.status === 'completed') {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: `Booking is already ${booking.status}` });
+    }
+
+    // Recorded when someone other than the owner (an admin) cancels
+    if (String(booking.user_id) !== String(req.user.id)) booking.cancelled_by = req.user.id;
+    await booking.cancel(reason || null, { session });
+    await notifications.notifyBooking('booking.cancelled', booking, { session });
+    // Freed units go to the room's waitlist in the same transaction
+    const filled = await waitlist.fillFromWaitlist(booking.room_id, { session });
+
+    if (session) await session.commitTransaction();
+    cancelled = booking;
+    dates = [...booking.getAvailabilityDates(), ...filled.dates];
+  } catch (err) {
+    console.error(err);
+    if (session) await session.abortTransaction();
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    return res.status(500).send({ error: 'server error' });
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+
+  // The cancellation is committed; nothing below may abort it. Money back for a
+  // paid booking first (recorded on booking.payment), outside the room lock.
+  try {
+    await payments.refundBooking(cancelled);
+    await availabilityChanged(cancelled.room_id, dates);
+
+    const populatedBooking = await Booking.findById(cancelled._id)
+      .populate('room_id', 'name location capacity price_cents')
+      .populate('user_id', 'email name');
+
+    res.send({ message: 'Booking cancelled', booking: populatedBooking.toPublicJSON() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+}
+
+app.patch('/api/v1/bookings/:id/cancel', auth, validate('cancelBooking'), (req, res) => (
+  cancelBooking(req, res, ownedBy(req, { _id: req.params.id }), req.body.reason)
+));
+
+// ---------------------- MODIFY BOOKING ----------------------
+// Payment states in which money was (or is being) taken for payment.amount_cents
+const CHARGED_PAYMENT_STATUSES = ['processing', 'pending', 'succeeded'];
+
+// A paid booking's price cannot change: the difference would be neither charged
+// nor refunded, and a later refund returns payment.amount_cents
+function repricesChargedBooking(booking, price) {
+  return Boolean(booking.payment)
+    && CHARGED_PAYMENT_STATUSES.includes(booking.payment.status)
+    && price.total_cents !== booking.payment.amount_cents;
+}
+
+// The modified booking gets a fresh price snapshot; a discount it was booked
+// with keeps its original terms even if the code has since expired
+function requote(room, booking, { startDate, endDate, quantity }) {
+  const discount = booking.price && booking.price.discount && booking.price.discount.code
+    ? booking.price.discount.toObject()
+    : null;
+  return pricing.quote(room, { startDate, endDate, slotMinutes: booking.slot_minutes, quantity, discount });
+}
+
+app.patch('/api/v1/bookings/:id', auth, validate('modifyBooking'), validateDateRange, async (req, res) => {
+  const { start_date, end_date, quantity } = req.body;
+
+  // Redis idempotency, scoped to the caller and the booking so a key reused from
+  // POST /booking, by another user or for another booking cannot collide
+  const idemKey = req.header('Idempotency-Key')
+    ? `modify:${req.user.id}:${req.params.id}:${req.header('Idempotency-Key')}`
+    : null;
+  if (idemKey) {
+    const prev = await getIdempotencyKey(idemKey);
+    if (prev) return res.status(200).send({ id: prev, idempotent: true });
+  }
+
+  let existing;
+  try {
+    existing = await Booking.findOne(ownedBy(req, { _id: req.params.id })).select('room_id');
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid booking ID format' });
+    }
+    console.error(err);
+    return res.status(500).send({ error: 'server error' });
+  }
+  if (!existing) return res.status(404).send({ error: 'Booking not found' });
+
+  // Redis lock
+  const lockKey = `lock:room:${existing.room_id}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+
+  try {
+    if (session) await session.startTransaction();
+
+    const bookingFindQ = Booking.findOne(ownedBy(req, { _id: existing._id }));
+    if (session) bookingFindQ.session(session);
+    const booking = await bookingFindQ;
+    if (!booking) {
+      if (session) await session.abortTransaction();
+      return res.status(404).send({ error: 'Booking not found' });
+    }
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: `Cannot modify a ${booking.status} booking` });
+    }
+
+    // Fields not supplied keep their current value; slot bookings keep exact times.
+    // Dates are read in the timezone the booking was made in (the room's).
+    const slotMinutes = booking.slot_minutes;
+    const timeZone = booking.timezone;
+    const toBoundary = value => (slotMinutes ? parseDateTime(value, timeZone) : parseDay(value, timeZone));
+    const newStart = start_date ? toBoundary(start_date) : booking.start_date;
+    const newEnd = end_date ? toBoundary(end_date) : booking.end_date;
+    const newQty = quantity || booking.quantity;
+
+    if (newEnd <= newStart) {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: 'End date must be after start date' });
+    }
+    const earliest = slotMinutes ? new Date() : normalizeDate(new Date(), timeZone);
+    if (newStart < earliest && newStart.getTime() !== booking.start_date.getTime()) {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: 'Start date cannot be in the past' });
+    }
+    const roomFindQ = Room.findById(booking.room_id);
+    if (session) roomFindQ.session(session);
+    const room = await roomFindQ;
+    if (slotMinutes) {
+      const slotError = room.validateSlotRange(newStart, newEnd);
+      if (slotError) {
+        if (session) await session.abortTransaction();
+        return res.status(400).send({ error: slotError });
+      }
+    }
+
+    const oldDays = booking.getAvailabilityDates();
+    const newDays = getBookingDates(newStart, newEnd, slotMinutes);
+    const { start_local: prevStart, end_local: prevEnd } = booking.toPublicJSON();
+    const previous = { start_date: prevStart, end_date: prevEnd, quantity: booking.quantity };
+
+    // Check the new range before writing anything, counting the units this booking
+    // already holds on overlapping days, so non-transactional mode never half-applies
+    const held = new Set(oldDays.map(d => d.getTime()));
+    const availFindQ = Availability.findByRoomAndDateRange(booking.room_id, newStart, newEnd);
+    if (session) availFindQ.session(session);
+    const records = await availFindQ;
+    const byDate = new Map(records.map(r => [r.date.getTime(), r.available_units]));
+
+    const conflicts = newDays.filter(date => {
+      if (!byDate.has(date.getTime())) return true;
+      const own = held.has(date.getTime()) ? booking.quantity : 0;
+      return byDate.get(date.getTime()) + own < newQty;
+    });
+    if (conflicts.length > 0) {
+      if (session) await session.abortTransaction();
+      return res.status(409).send({
+        error: 'Insufficient availability',
+        conflicting_dates: conflicts.map(d => formatAvailabilityDate(d, slotMinutes, timeZone)),
+      });
+    }
+
+    const price = requote(room, booking, { startDate: newStart, endDate: newEnd, quantity: newQty });
+    if (repricesChargedBooking(booking, price)) {
+      if (session) await session.abortTransaction();
+      return res.status(409).send({ error: 'The change would alter the price of a paid booking; cancel it and book again' });
+    }
+
+    // Give back the old days, then take the new ones; without a transaction a
+    // failure puts the old ones back (reserveMany undoes its own partial take)
+    const old = { roomId: booking.room_id, days: oldDays, quantity: booking.quantity };
+    await Availability.releaseUnits(old.roomId, old.days, old.quantity, { session });
+    const failed = await Availability.reserveMany([{ roomId: booking.room_id, days: newDays, quantity: newQty }], { session });
+    if (failed) {
+      if (session) {
+        await session.abortTransaction();
+      } else {
+        await Availability.reserveMany([old]);
+      }
+      return res.status(409).send({
+        error: 'Insufficient availability',
+        conflicting_dates: [formatAvailabilityDate(failed.date, slotMinutes, timeZone)],
+      });
+    }
+
+    booking.start_date = newStart;
+    booking.end_date = newEnd;
+    booking.quantity = newQty;
+    booking.set('price', price, { overwriteImmutable: true });
+    await booking.save(session ? { session } : undefined);
+    await notifications.notifyBooking('booking.modified', booking, { session, room, previous });
+    const filled = await waitlist.fillFromWaitlist(room._id, { session });
+
+    if (session) await session.commitTransaction();
+    await availabilityChanged(room, [...oldDays, ...newDays, ...filled.dates]);
+
+    if (idemKey) {
+      await setIdempotencyKey(idemKey, booking._id.toString(), config.booking.idempotencyTTL);
+    }
+
+    const populatedBooking = await Booking.findById(booking._id)
+      .populate('room_id', 'name location capacity price_cents')
+      .populate('user_id', 'email name');
+
+    res.send({ booking: populatedBooking.toPublicJSON() });
+  } catch (err) {
+    console.error(err);
+    if (session) await session.abortTransaction();
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    res.status(500).send({ error: 'server error' });
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+});
+
+// ---------------------- BOOKING SERIES ----------------------
+// Recurring bookings. Each occurrence is an ordinary booking (with series_id) that can
+// also be cancelled or modified on its own through /bookings/:id.
+
+// Respond with a series and its occurrences (all statuses, in date order)
+async function sendSeries(res, seriesId, status, extra = {}) {
+  const series = await BookingSeries.findById(seriesId);
+  const bookings = await Booking.find({ series_id: seriesId })
+    .populate('room_id', 'name location capacity price_cents')
+    .sort({ start_date: 1 });
+  return res.status(status).send({
+    ...extra,
+    series: series.toPublicJSON(),
+    bookings: bookings.map(b => b.toPublicJSON()),
+  });
+}
+
+// Occurrences not yet started (day occurrences starting today included) that are still active
+function upcomingOccurrencesQuery(series) {
+  const earliest = series.slot_minutes ? new Date() : normalizeDate(new Date(), series.timezone);
+  return {
+    series_id: series._id,
+    status: { $in: ['pending', 'confirmed'] },
+    start_date: { $gte: earliest },
+  };
+}
+
+app.post('/api/v1/booking-series', auth, requireVerifiedEmail, validate('bookingSeries'), validateDateRange, validateQuantity, async (req, res) => {
+  const { room_id, start_date, end_date, recurrence, quantity, notes, contact_email, payment_method } = req.body;
+  const policy = req.body.policy || 'all_or_nothing';
+  const userId = req.user.id;
+  const qty = parseInt(quantity || 1, 10);
+
+  if (String(contact_email).toLowerCase() !== String(req.user.email).toLowerCase()) {
+    return res.status(403).send({ error: 'contact_email must match authenticated user email' });
+  }
+
+  // Redis idempotency (namespaced and scoped to the caller like PATCH /bookings/:id)
+  const idemKey = req.header('Idempotency-Key') ? `series:${req.user.id}:${req.header('Idempotency-Key')}` : null;
+  if (idemKey) {
+    const prev = await getIdempotencyKey(idemKey);
+    if (prev) return res.status(200).send({ id: prev, idempotent: true });
+  }
+
+  // Redis lock: every occurrence is in the same room, so one lock covers the series
+  const lockKey = `lock:room:${room_id}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+  let seriesId = null;
+  let bookingIds = [];
+
+  try {
+    if (session) await session.startTransaction();
+
+    const roomFindQ = Room.findOne({ _id: room_id, is_active: true });
+    if (session) roomFindQ.session(session);
+    const room = await roomFindQ;
+    if (!room) {
+      if (session) await session.abortTransaction();
+      return res.status(404).send({ error: 'Room not found or inactive' });
+    }
+
+    const first = resolveBookingRange(room, start_date, end_date);
+    if (first.error) {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: first.error });
+    }
+    const { slotMinutes } = first;
+    const timeZone = room.timezone;
+
+    const expanded = bookingSeries.expandOccurrences(recurrence, first, timeZone);
+    if (expanded.error) {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: expanded.error });
+    }
+    const { occurrences } = expanded;
+
+    // Check every occurrence before writing anything
+    const conflicts = await bookingSeries.findConflicts(room, occurrences, qty, { session });
+    if (conflicts.length > 0 && (policy === 'all_or_nothing' || conflicts.length === occurrences.length)) {
+      if (session) await session.abortTransaction();
+      return res.status(409).send({
+        error: policy === 'all_or_nothing' ? 'Some occurrences are not available' : 'No occurrence is available',
+        conflicts: conflicts.map(c => ({
+          start_date: formatAvailabilityDate(occurrences[c.index].startDate, slotMinutes, timeZone),
+          end_date: formatAvailabilityDate(occurrences[c.index].endDate, slotMinutes, timeZone),
+          reason: c.reason,
+          conflicting_dates: c.dates.map(d => formatAvailabilityDate(d, slotMinutes, timeZone)),
+        })),
+      });
+    }
+
+    // Reserve every bookable occurrence before writing anything else
+    const skipped = new Set(conflicts.map(c => c.index));
+    const bookable = occurrences.filter((occurrence, index) => !skipped.has(index));
+    const daysByOccurrence = bookable.map(o => getBookingDates(o.startDate, o.endDate, slotMinutes));
+    const failed = await Availability.reserveMany(
+      daysByOccurrence.map(days => ({ roomId: room._id, days, quantity: qty })),
+      { session },
+    );
+    if (failed) {
+      if (session) await session.abortTransaction();
+      return res.status(409).send({
+        error: 'Insufficient availability',
+        conflicting_dates: [formatAvailabilityDate(failed.date, slotMinutes, timeZone)],
+      });
+    }
+    const changed = daysByOccurrence.flat();
+
+    const createOpts = session ? { session } : undefined;
+    const [series] = await BookingSeries.create(
+      [
+        {
+          user_id: userId,
+          room_id: room._id,
+          recurrence: { ...recurrence, until: recurrence.until ? parseDay(recurrence.until, timeZone) : undefined },
+          start_date: first.startDate,
+          end_date: first.endDate,
+          slot_minutes: slotMinutes,
+          timezone: timeZone,
+          quantity: qty,
+          policy,
+          conflicts: conflicts.map(c => ({
+            start_date: occurrences[c.index].startDate,
+            end_date: occurrences[c.index].endDate,
+            reason: c.reason,
+          })),
+          notes: notes || null,
+          contact_email,
+        },
+      ],
+      createOpts,
+    );
+
+    // Create the bookable occurrences; like POST /booking they stay pending until paid
+    const bookings = [];
+    for (const occurrence of bookable) {
+      const [booking] = await Booking.create(
+        [
+          {
+            user_id: userId,
+            room_id: room._id,
+            start_date: occurrence.startDate,
+            end_date: occurrence.endDate,
+            slot_minutes: slotMinutes,
+            timezone: timeZone,
+            quantity: qty,
+            price: pricing.quote(room, { ...occurrence, slotMinutes, quantity: qty }),
+            status: 'pending',
+            hold_expires_at: payments.paymentDeadline(),
+            series_id: series._id,
+            notes: notes || null,
+            contact_email,
+          },
+        ],
+        createOpts,
+      );
+      bookings.push(booking);
+    }
+    await notifications.notifySeries('series.created', series, bookings, { session, room });
+
+    if (session) await session.commitTransaction();
+    await availabilityChanged(room, changed);
+
+    if (idemKey) {
+      await setIdempotencyKey(idemKey, series._id.toString(), config.booking.idempotencyTTL);
+    }
+    seriesId = series._id;
+    bookingIds = bookings.map(b => b._id);
+  } catch (err) {
+    console.error(err);
+    if (session) await session.abortTransaction();
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid room ID format' });
+    }
+
+    return res.status(500).send({ error: 'server error' });
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+  if (!seriesId) return;
+
+  // Charge each occurrence outside the room lock; one that fails stays pending
+  // and can be paid with PATCH /bookings/:id/confirm until it expires
+  try {
+    for (const bookingId of bookingIds) {
+      await payments.chargeBooking(bookingId, { paymentMethod: payment_method });
+    }
+    await sendSeries(res, seriesId, 201);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.get('/api/v1/booking-series', auth, async (req, res) => {
+  try {
+    const series = await BookingSeries.find(ownedBy(req)).sort({ created_at: -1 });
+    res.send({ series: series.map(s => s.toPublicJSON()) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.get('/api/v1/booking-series/:id', auth, async (req, res) => {
+  try {
+    const series = await BookingSeries.findOne(ownedBy(req, { _id: req.params.id })).select('_id');
+    if (!series) return res.status(404).send({ error: 'Series not found' });
+
+    await sendSeries(res, series._id, 200);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid series ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// Edit the whole series: quantity and/or notes of every upcoming occurrence, all or
+// nothing. Changes made to single occurrences (PATCH /bookings/:id) are overwritten.
+app.patch('/api/v1/booking-series/:id', auth, validate('modifyBookingSeries'), async (req, res) => {
+  const { quantity, notes } = req.body;
+
+  let existing;
+  try {
+    existing = await BookingSeries.findOne(ownedBy(req, { _id: req.params.id })).select('room_id');
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid series ID format' });
+    }
+    console.error(err);
+    return res.status(500).send({ error: 'server error' });
+  }
+  if (!existing) return res.status(404).send({ error: 'Series not found' });
+
+  // Redis lock
+  const lockKey = `lock:room:${existing.room_id}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+
+  try {
+    if (session) await session.startTransaction();
+
+    const seriesFindQ = BookingSeries.findById(existing._id);
+    if (session) seriesFindQ.session(session);
+    const series = await seriesFindQ;
+    if (series.status !== 'active') {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: `Series is ${series.status}` });
+    }
+
+    const upcomingQ = Booking.find(upcomingOccurrencesQuery(series)).sort({ start_date: 1 });
+    if (session) upcomingQ.session(session);
+    const upcoming = await upcomingQ;
+    if (upcoming.length === 0) {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: 'Series has no upcoming occurrences' });
+    }
+
+    const roomFindQ = Room.findById(series.room_id);
+    if (session) roomFindQ.session(session);
+    const room = await roomFindQ;
+    const slotMinutes = series.slot_minutes;
+    const timeZone = series.timezone;
+
+    const changed = [];
+    let filled = { dates: [] };
+    if (quantity) {
+      // Units each occurrence already holds count towards its new quantity
+      const conflicts = await bookingSeries.findConflicts(
+        room,
+        upcoming.map(b => ({ startDate: b.start_date, endDate: b.end_date, held: b.quantity })),
+        quantity,
+        { session },
+      );
+      if (conflicts.length > 0) {
+        if (session) await session.abortTransaction();
+        return res.status(409).send({
+          error: 'Insufficient availability',
+          conflicts: conflicts.map(c => ({
+            booking_id: upcoming[c.index]._id,
+            start_date: formatAvailabilityDate(upcoming[c.index].start_date, slotMinutes, timeZone),
+            end_date: formatAvailabilityDate(upcoming[c.index].end_date, slotMinutes, timeZone),
+            reason: c.reason,
+            conflicting_dates: c.dates.map(d => formatAvailabilityDate(d, slotMinutes, timeZone)),
+          })),
+        });
+      }
+
+      const prices = upcoming.map(b => requote(room, b, { startDate: b.start_date, endDate: b.end_date, quantity }));
+      const paid = upcoming.filter((b, index) => repricesChargedBooking(b, prices[index]));
+      if (paid.length > 0) {
+        if (session) await session.abortTransaction();
+        return res.status(409).send({
+          error: 'The change would alter the price of paid occurrences; cancel them and book again',
+          booking_ids: paid.map(b => b._id),
+        });
+      }
+
+      // Occurrences can share days, so give back every occurrence's units before
+      // taking the new quantity; without a transaction a failure puts the old ones back
+      const held = upcoming.map(b => ({ roomId: room._id, days: b.getAvailabilityDates(), quantity: b.quantity }));
+      for (const line of held) await Availability.releaseUnits(line.roomId, line.days, line.quantity, { session });
+      const failed = await Availability.reserveMany(held.map(line => ({ ...line, quantity })), { session });
+      if (failed) {
+        if (session) {
+          await session.abortTransaction();
+        } else {
+          await Availability.reserveMany(held);
+        }
+        return res.status(409).send({
+          error: 'Insufficient availability',
+          conflicting_dates: [formatAvailabilityDate(failed.date, slotMinutes, timeZone)],
+        });
+      }
+
+      for (const [index, booking] of upcoming.entries()) {
+        changed.push(...held[index].days);
+        booking.quantity = quantity;
+        booking.set('price', prices[index], { overwriteImmutable: true });
+      }
+      series.quantity = quantity;
+    }
+    if (notes !== undefined) {
+      for (const booking of upcoming) booking.notes = notes;
+      series.notes = notes;
+    }
+
+    for (const booking of upcoming) await booking.save(session ? { session } : undefined);
+    await series.save(session ? { session } : undefined);
+    // A lower quantity frees units for the room's waitlist
+    if (changed.length > 0) filled = await waitlist.fillFromWaitlist(room._id, { session });
+    await notifications.notifySeries('series.modified', series, upcoming, { session, room });
+
+    if (session) await session.commitTransaction();
+    if (changed.length > 0) await availabilityChanged(room, [...changed, ...filled.dates]);
+
+    await sendSeries(res, series._id, 200);
+  } catch (err) {
+    console.error(err);
+    if (session) await session.abortTransaction();
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    res.status(500).send({ error: 'server error' });
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+});
+
+// Cancel the whole series: every upcoming occurrence is cancelled (and refunded if
+// paid); past occurrences are kept. Single occurrences use PATCH /bookings/:id/cancel.
+app.patch('/api/v1/booking-series/:id/cancel', auth, validate('cancelBooking'), async (req, res) => {
+  const { reason } = req.body;
+
+  let existing;
+  try {
+    existing = await BookingSeries.findOne(ownedBy(req, { _id: req.params.id })).select('room_id');
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid series ID format' });
+    }
+    console.error(err);
+    return res.status(500).send({ error: 'server error' });
+  }
+  if (!existing) return res.status(404).send({ error: 'Series not found' });
+
+  // Redis lock
+  const lockKey = `lock:room:${existing.room_id}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+
+  let cancelled = null;
+  try {
+    if (session) await session.startTransaction();
+
+    const seriesFindQ = BookingSeries.findById(existing._id);
+    if (session) seriesFindQ.session(session);
+    const series = await seriesFindQ;
+    if (series.status === 'cancelled') {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: 'Series is already cancelled' });
+    }
+
+    const upcomingQ = Booking.find(upcomingOccurrencesQuery(series)).sort({ start_date: 1 });
+    if (session) upcomingQ.session(session);
+    const upcoming = await upcomingQ;
+
+    const dates = [];
+    for (const booking of upcoming) {
+      await booking.cancel(reason || null, { session });
+      dates.push(...booking.getAvailabilityDates());
+    }
+    series.status = 'cancelled';
+    series.cancellation_reason = reason || null;
+    series.cancelled_at = new Date();
+    await series.save(session ? { session } : undefined);
+
+    // Freed units go to the room's waitlist in the same transaction
+    const filled = await waitlist.fillFromWaitlist(series.room_id, { session });
+    await notifications.notifySeries('series.cancelled', series, upcoming, { session });
+
+    if (session) await session.commitTransaction();
+    cancelled = { series, upcoming, dates: [...dates, ...filled.dates] };
+  } catch (err) {
+    console.error(err);
+    if (session) await session.abortTransaction();
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    return res.status(500).send({ error: 'server error' });
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+
+  // Committed like cancelBooking: refunds first (recorded on each booking.payment),
+  // outside the room lock
+  try {
+    for (const booking of cancelled.upcoming) await payments.refundBooking(booking);
+    await availabilityChanged(cancelled.series.room_id, cancelled.dates);
+
+    await sendSeries(res, cancelled.series._id, 200, { message: 'Series cancelled' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- GROUP BOOKING ----------------------
+// Several rooms (or ranges) booked in one request, all or none. Each line becomes an
+// ordinary booking carrying group_id; the group can be cancelled as a unit.
+
+const GROUP_PAYMENT_FAILED_REASON = 'Payment failed';
+
+// Respond with a group and its bookings (all statuses)
+async function sendGroup(res, groupId, status, extra = {}) {
+  const group = await GroupBooking.findById(groupId);
+  const bookings = await Booking.find({ group_id: groupId })
+    .populate('room_id', 'name location capacity price_cents')
+    .sort({ start_date: 1, _id: 1 });
+  return res.status(status).send({
+    ...extra,
+    group: group.toPublicJSON(),
+    bookings: bookings.map(b => b.toPublicJSON()),
+  });
+}
+
+app.post('/api/v1/group-bookings', auth, requireVerifiedEmail, validate('groupBooking'), async (req, res) => {
+  const { items, notes, payment_method } = req.body;
+  const userId = req.user.id;
+  const userEmail = req.user.email || null;
+
+  let contactEmail = req.body.contact_email || null;
+  if (contactEmail) {
+    if (String(contactEmail).toLowerCase() !== String(userEmail).toLowerCase()) {
+      return res.status(403).send({ error: 'contact_email must match authenticated user email' });
+    }
+  } else {
+    contactEmail = userEmail;
+  }
+
+  // Redis idempotency (namespaced and scoped to the caller like PATCH /bookings/:id)
+  const idemKey = req.header('Idempotency-Key') ? `group:${req.user.id}:${req.header('Idempotency-Key')}` : null;
+  if (idemKey) {
+    const prev = await getIdempotencyKey(idemKey);
+    if (prev) return res.status(200).send({ id: prev, idempotent: true });
+  }
+
+  // Redis locks: the same per-room locks POST /booking takes, acquired in sorted
+  // order so two groups sharing rooms cannot each hold a lock the other waits for
+  const lockKeys = items.map(item => `lock:room:${item.room_id}`);
+  const token = uuidv4();
+  const lock = await acquireLocks(lockKeys, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+  let groupId = null;
+  let bookingIds = [];
+
+  try {
+    if (session) await session.startTransaction();
+
+    const roomFindQ = Room.find({ _id: { $in: items.map(item => item.room_id) }, is_active: true });
+    if (session) roomFindQ.session(session);
+    const rooms = new Map((await roomFindQ).map(room => [String(room._id), room]));
+
+    // Resolve every line before touching availability
+    const lines = [];
+    for (const [index, item] of items.entries()) {
+      const room = rooms.get(item.room_id.toLowerCase());
+      if (!room) {
+        if (session) await session.abortTransaction();
+        return res.status(404).send({ error: 'Room not found or inactive', item: index });
+      }
+      const range = resolveBookingRange(room, item.start_date, item.end_date);
+      if (range.error) {
+        if (session) await session.abortTransaction();
+        return res.status(400).send({ error: range.error, item: index });
+      }
+      const quantity = parseInt(item.quantity || 1, 10);
+      lines.push({ room, quantity, ...range, days: getBookingDates(range.startDate, range.endDate, range.slotMinutes) });
+    }
+
+    // Decrement every line in this transaction; lines for the same room add up.
+    // Without a transaction, reserveMany gives back the lines it took before failing.
+    const failed = await Availability.reserveMany(
+      lines.map(line => ({ roomId: line.room._id, days: line.days, quantity: line.quantity })),
+      { session },
+    );
+    if (failed) {
+      const line = lines[failed.index];
+      if (session) await session.abortTransaction();
+      return res.status(409).send({
+        error: `Insufficient availability for date ${formatAvailabilityDate(failed.date, line.slotMinutes, line.room.timezone)}`,
+        item: failed.index,
+      });
+    }
+
+    const createOpts = session ? { session } : undefined;
+    const [group] = await GroupBooking.create(
+      [{ user_id: userId, notes: notes || null, contact_email: contactEmail }],
+      createOpts,
+    );
+
+    // Like POST /booking, each booking stays pending until paid
+    const bookings = [];
+    for (const [index, line] of lines.entries()) {
+      const [booking] = await Booking.create(
+        [
+          {
+            user_id: userId,
+            room_id: line.room._id,
+            start_date: line.startDate,
+            end_date: line.endDate,
+            slot_minutes: line.slotMinutes,
+            timezone: line.room.timezone,
+            quantity: line.quantity,
+            price: pricing.quote(line.room, line),
+            status: 'pending',
+            hold_expires_at: payments.paymentDeadline(),
+            group_id: group._id,
+            notes: items[index].notes || notes || null,
+            contact_email: contactEmail,
+          },
+        ],
+        createOpts,
+      );
+      bookings.push(booking);
+    }
+    await notifications.notifyGroup('group.created', group, bookings, { session, rooms });
+
+    if (session) await session.commitTransaction();
+    for (const room of rooms.values()) {
+      const dates = lines.filter(line => line.room === room).flatMap(line => line.days);
+      await availabilityChanged(room, dates);
+    }
+
+    if (idemKey) {
+      await setIdempotencyKey(idemKey, group._id.toString(), config.booking.idempotencyTTL);
+    }
+    groupId = group._id;
+    bookingIds = bookings.map(b => b._id);
+  } catch (err) {
+    console.error(err);
+    if (session) await session.abortTransaction();
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid room ID format' });
+    }
+
+    return res.status(500).send({ error: 'server error' });
+  } finally {
+    if (session) session.endSession();
+    await releaseLocks(lockKeys, token);
+  }
+  if (!groupId) return;
+
+  // Charge each booking outside the room locks. The group is all or none: once a
+  // charge is declined the whole group is cancelled and what was paid is refunded
+  try {
+    for (const bookingId of bookingIds) {
+      const charged = await payments.chargeBooking(bookingId, { paymentMethod: payment_method });
+      if (charged && charged.payment && charged.payment.status === 'failed') {
+        await cancelGroupAfterFailedPayment(groupId);
+        return await sendGroup(res, groupId, 402, { error: 'Payment failed', reason: charged.payment.failure_reason });
+      }
+    }
+    await sendGroup(res, groupId, 201);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.get('/api/v1/group-bookings', auth, async (req, res) => {
+  try {
+    const groups = await GroupBooking.find(ownedBy(req)).sort({ created_at: -1 });
+    res.send({ groups: groups.map(g => g.toPublicJSON()) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.get('/api/v1/group-bookings/:id', auth, async (req, res) => {
+  try {
+    const group = await GroupBooking.findOne(ownedBy(req, { _id: req.params.id })).select('_id');
+    if (!group) return res.status(404).send({ error: 'Group booking not found' });
+
+    await sendGroup(res, group._id, 200);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid group booking ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// Cancel a group under its rooms' locks: its pending and confirmed bookings are
+// cancelled in one transaction, freed units go to the waitlists, and paid bookings
+// are refunded. Returns { status, error } if it cannot (rooms busy, already cancelled).
+async function cancelGroup(groupId, reason) {
+  const roomIds = await Booking.distinct('room_id', { group_id: groupId });
+
+  // Redis locks, in the same order POST /group-bookings takes them
+  const lockKeys = roomIds.map(roomId => `lock:room:${roomId}`);
+  const token = uuidv4();
+  const lock = await acquireLocks(lockKeys, token, config.booking.lockTimeout);
+  if (!lock) return { status: 423, error: 'Resource busy' };
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+
+  let group;
+  let active;
+  const datesByRoom = new Map(roomIds.map(roomId => [String(roomId), []]));
+  try {
+    if (session) await session.startTransaction();
+
+    // Re-read under the locks so a concurrent cancel cannot restore units twice
+    const groupFindQ = GroupBooking.findById(groupId);
+    if (session) groupFindQ.session(session);
+    group = await groupFindQ;
+    if (group.status === 'cancelled') {
+      if (session) await session.abortTransaction();
+      return { status: 400, error: 'Group booking is already cancelled' };
+    }
+
+    const activeQ = Booking.find({ group_id: group._id, status: { $in: ['pending', 'confirmed'] } });
+    if (session) activeQ.session(session);
+    active = await activeQ;
+
+    for (const booking of active) {
+      await booking.cancel(reason, { session });
+      datesByRoom.get(String(booking.room_id)).push(...booking.getAvailabilityDates());
+    }
+    group.status = 'cancelled';
+    group.cancellation_reason = reason;
+    group.cancelled_at = new Date();
+    await group.save(session ? { session } : undefined);
+
+    // Freed units go to each room's waitlist in the same transaction
+    for (const roomId of roomIds) {
+      const filled = await waitlist.fillFromWaitlist(roomId, { session });
+      datesByRoom.get(String(roomId)).push(...filled.dates);
+    }
+    await notifications.notifyGroup('group.cancelled', group, active, { session });
+
+    if (session) await session.commitTransaction();
+  } catch (err) {
+    if (session) await session.abortTransaction();
+    throw err;
+  } finally {
+    if (session) session.endSession();
+    await releaseLocks(lockKeys, token);
+  }
+
+  // Committed like cancelBooking: refunds first (recorded on each booking.payment),
+  // outside the rooms' locks
+  for (const booking of active) await payments.refundBooking(booking);
+  for (const [roomId, dates] of datesByRoom) {
+    if (dates.length > 0) await availabilityChanged(roomId, dates);
+  }
+
+  return { group };
+}
+
+// After a declined charge the whole group goes: retry briefly if its rooms are busy
+async function cancelGroupAfterFailedPayment(groupId) {
+  let cancelled = await cancelGroup(groupId, GROUP_PAYMENT_FAILED_REASON);
+  for (let attempt = 1; cancelled.status === 423 && attempt < 5; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 200 * attempt));
+    cancelled = await cancelGroup(groupId, GROUP_PAYMENT_FAILED_REASON);
+  }
+  if (cancelled.error && cancelled.status !== 400) {
+    console.error(`[group] could not cancel ${groupId} after a failed payment: ${cancelled.error}`);
+  }
+}
+
+app.patch('/api/v1/group-bookings/:id/cancel', auth, validate('cancelBooking'), async (req, res) => {
+  const { reason } = req.body;
+
+  let existing;
+  try {
+    existing = await GroupBooking.findOne(ownedBy(req, { _id: req.params.id })).select('_id');
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid group booking ID format' });
+    }
+    console.error(err);
+    return res.status(500).send({ error: 'server error' });
+  }
+  if (!existing) return res.status(404).send({ error: 'Group booking not found' });
+
+  try {
+    const cancelled = await cancelGroup(existing._id, reason || null);
+    if (cancelled.error) return res.status(cancelled.status).send({ error: cancelled.error });
+
+    await sendGroup(res, existing._id, 200, { message: 'Group booking cancelled' });
+  } catch (err) {
+    console.error(err);
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- WAITLIST ----------------------
+// Join the queue for a room and range that POST /booking reports as sold out.
+// When cancellations free the units, the entry is offered them (held for
+// waitlist.holdMinutes) or, with auto_book, booked right away.
+app.post('/api/v1/waitlist', auth, requireVerifiedEmail, validate('joinWaitlist'), validateDateRange, validateQuantity, async (req, res) => {
+  const { room_id, start_date, end_date, quantity, auto_book, notes } = req.body;
+  const qty = parseInt(quantity || 1, 10);
+
+  // Redis lock - a cancellation between the availability check and the insert
+  // would otherwise leave the entry waiting for units that are already free
+  const lockKey = `lock:room:${room_id}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  try {
+    const room = await Room.findOne({ _id: room_id, is_active: true });
+    if (!room) return res.status(404).send({ error: 'Room not found or inactive' });
+
+    const range = resolveBookingRange(room, start_date, end_date);
+    if (range.error) return res.status(400).send({ error: range.error });
+    const { startDate, endDate, slotMinutes } = range;
+
+    const days = getBookingDates(startDate, endDate, slotMinutes);
+    const records = await Availability.find({ room_id: room._id, date: { $in: days } });
+    if (records.length !== days.length) {
+      return res.status(400).send({ error: 'Range is beyond the bookable horizon' });
+    }
+    if (records.every(r => r.available_units >= qty)) {
+      return res.status(409).send({ error: 'Units are available; book the room directly' });
+    }
+
+    const duplicate = await WaitlistEntry.exists({
+      user_id: req.user.id,
+      room_id: room._id,
+      start_date: startDate,
+      end_date: endDate,
+      status: { $in: ['waiting', 'offered'] },
+    });
+    if (duplicate) return res.status(409).send({ error: 'Already on the waitlist for this range' });
+
+    const entry = await WaitlistEntry.create({
+      user_id: req.user.id,
+      room_id: room._id,
+      start_date: startDate,
+      end_date: endDate,
+      slot_minutes: slotMinutes,
+      timezone: room.timezone,
+      quantity: qty,
+      auto_book: auto_book === true,
+      notes: notes || null,
+      contact_email: req.user.email || null,
+    });
+
+    res.status(201).send({ entry: { ...entry.toPublicJSON(), position: await WaitlistEntry.getPosition(entry) } });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid room ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  } finally {
+    await releaseLock(lockKey, token);
+  }
+});
+
+// The caller's waiting entries (with their queue position) and open offers
+app.get('/api/v1/waitlist', auth, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      user_id: req.user.id,
+      status: { $in: ['waiting', 'offered'] },
+    }).sort({ created_at: 1 });
+
+    const result = [];
+    for (const entry of entries) {
+      const position = entry.status === 'waiting' ? await WaitlistEntry.getPosition(entry) : undefined;
+      result.push({ ...entry.toPublicJSON(), position });
+    }
+
+    res.send({ entries: result });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// Accept an offer: the held units become a booking, charged like POST /booking
+app.patch('/api/v1/waitlist/:id/accept', auth, requireVerifiedEmail, validate('confirmBooking'), async (req, res) => {
+  const { payment_method } = req.body;
+
+  let existing;
+  try {
+    existing = await WaitlistEntry.findOne(ownedBy(req, { _id: req.params.id })).select('room_id');
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid waitlist entry ID format' });
+    }
+    console.error(err);
+    return res.status(500).send({ error: 'server error' });
+  }
+  if (!existing) return res.status(404).send({ error: 'Waitlist entry not found' });
+
+  // Redis lock
+  const lockKey = `lock:room:${existing.room_id}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+  let bookingId = null;
+  let entry;
+
+  try {
+    if (session) await session.startTransaction();
+
+    // Re-read under the lock so the offer cannot expire or be accepted twice meanwhile
+    const entryFindQ = WaitlistEntry.findOne(ownedBy(req, { _id: existing._id }));
+    if (session) entryFindQ.session(session);
+    entry = await entryFindQ;
+    if (!entry) {
+      if (session) await session.abortTransaction();
+      return res.status(404).send({ error: 'Waitlist entry not found' });
+    }
+    if (entry.status !== 'offered') {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: `No offer to accept (entry is ${entry.status})` });
+    }
+    if (entry.offer_expires_at <= new Date()) {
+      if (session) await session.abortTransaction();
+      return res.status(409).send({ error: 'Offer has expired' });
+    }
+
+    const roomFindQ = Room.findOne({ _id: entry.room_id, is_active: true });
+    if (session) roomFindQ.session(session);
+    const room = await roomFindQ;
+    if (!room) {
+      if (session) await session.abortTransaction();
+      return res.status(404).send({ error: 'Room not found or inactive' });
+    }
+
+    // Units were reserved when the offer was made, so availability does not change
+    const booking = await waitlist.bookEntry(entry, room, { session });
+
+    if (session) await session.commitTransaction();
+    bookingId = booking._id;
+  } catch (err) {
+    console.error(err);
+    if (session) await session.abortTransaction();
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    return res.status(500).send({ error: 'server error' });
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+  if (!bookingId) return;
+
+  // Charge outside the room lock, as for POST /booking
+  try {
+    await payments.chargeBooking(bookingId, { paymentMethod: payment_method });
+    await sendChargedBooking(res, bookingId, 201, { entry: entry.toPublicJSON() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// Leave the waitlist; an open offer is declined and its units go to the next in line
+app.delete('/api/v1/waitlist/:id', auth, async (req, res) => {
+  let existing;
+  try {
+    existing = await WaitlistEntry.findOne(ownedBy(req, { _id: req.params.id })).select('room_id');
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid waitlist entry ID format' });
+    }
+    console.error(err);
+    return res.status(500).send({ error: 'server error' });
+  }
+  if (!existing) return res.status(404).send({ error: 'Waitlist entry not found' });
+
+  // Redis lock
+  const lockKey = `lock:room:${existing.room_id}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+
+  try {
+    if (session) await session.startTransaction();
+
+    const entryFindQ = WaitlistEntry.findOne(ownedBy(req, { _id: existing._id }));
+    if (session) entryFindQ.session(session);
+    const entry = await entryFindQ;
+    if (!entry) {
+      if (session) await session.abortTransaction();
+      return res.status(404).send({ error: 'Waitlist entry not found' });
+    }
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      if (session) await session.abortTransaction();
+      return res.status(400).send({ error: `Waitlist entry is already ${entry.status}` });
+    }
+
+    let changed = [];
+    if (entry.status === 'offered') {
+      const released = await waitlist.releaseOffer(entry, 'declined', { session });
+      const filled = await waitlist.fillFromWaitlist(entry.room_id, { session });
+      changed = [...released, ...filled.dates];
+    } else {
+      entry.status = 'cancelled';
+      await entry.save(session ? { session } : undefined);
+    }
+
+    if (session) await session.commitTransaction();
+    if (changed.length > 0) await availabilityChanged(entry.room_id, changed);
+
+    res.send({ message: 'Left the waitlist', entry: entry.toPublicJSON() });
+  } catch (err) {
+    console.error(err);
+    if (session) await session.abortTransaction();
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    res.status(500).send({ error: 'server error' });
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+});
+
+// ---------------------- PAYMENT WEBHOOK ----------------------
+// Provider callbacks (async charge and refund results). Authenticated by the
+// provider's signature over the raw body instead of a JWT.
+app.post(PAYMENT_WEBHOOK_PATH, async (req, res) => {
+  let event;
+  try {
+    event = payments.constructWebhookEvent(req.rawBody, req.headers);
+  } catch (err) {
+    if (err.name === 'WebhookSignatureError') {
+      return res.status(400).send({ error: err.message });
+    }
+    console.error(err);
+    return res.status(400).send({ error: 'Invalid webhook payload' });
+  }
+
+  try {
+    const result = await payments.handleWebhookEvent(event);
+
+    // A group is all or none, so a late (async) decline cancels the whole group
+    if (event.type === 'charge.failed' && result.booking_id) {
+      const booking = await Booking.findById(result.booking_id).select('group_id status payment');
+      if (booking && booking.group_id && booking.status === 'pending' && booking.payment && booking.payment.status === 'failed') {
+        await cancelGroupAfterFailedPayment(booking.group_id);
+      }
+    }
+    res.send({ received: true, ...result });
+  } catch (err) {
+    // A non-2xx response makes the provider retry the delivery
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- ADMIN: CREATE ROOM ----------------------
+app.post('/api/v1/admin/rooms', auth, requireAdmin, validate('createRoom'), async (req, res) => {
+  const { horizon_days, ...roomFields } = req.body;
+  const horizonDays = horizon_days || config.availability.horizonDays;
+
+  try {
+    const room = await Room.create(roomFields);
+
+    // Provision availability from today (room-local) through the horizon
+    const startDate = normalizeDate(new Date(), room.timezone);
+    const endDate = new Date(startDate);
+    endDate.setUTCDate(endDate.getUTCDate() + horizonDays);
+    await initializeAvailability(room._id, room.total_units, startDate, endDate);
+    await searchCache.invalidateRoom(room);
+    await realtime.publishRoomAvailability(room, startDate);
+
+    res.status(201).send({
+      room: room.toPublicJSON(),
+      availability: {
+        total_units: room.total_units,
+        start_date: formatDay(startDate),
+        end_date: formatDay(endDate),
+      },
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- ADMIN: UPDATE ROOM ----------------------
+app.put('/api/v1/admin/rooms/:id', auth, requireAdmin, validate('updateRoom'), async (req, res) => {
+  if (Object.keys(req.body).length === 0) {
+    return res.status(400).send({ error: 'No updatable fields provided' });
+  }
+
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) return res.status(404).send({ error: 'Room not found' });
+
+    // Searches the room drops out of and ones it newly matches are both stale
+    const before = room.toObject();
+    room.set(req.body);
+    await room.save();
+    await searchCache.invalidateRoom([before, room]);
+
+    res.send({ room: room.toPublicJSON() });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid room ID format' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- ADMIN: ROOM UNITS ----------------------
+app.put('/api/v1/admin/rooms/:id/units', auth, requireAdmin, validate('updateRoomUnits'), async (req, res) => {
+  const { total_units } = req.body;
+
+  let existing;
+  try {
+    existing = await Room.findById(req.params.id).select('_id');
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid room ID format' });
+    }
+    console.error(err);
+    return res.status(500).send({ error: 'server error' });
+  }
+  if (!existing) return res.status(404).send({ error: 'Room not found' });
+
+  // Redis lock - bookings for this room must not interleave with the adjustment
+  const lockKey = `lock:room:${existing._id}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return res.status(423).send({ error: 'Resource busy' });
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+
+  try {
+    if (session) await session.startTransaction();
+
+    const roomFindQ = Room.findById(existing._id);
+    if (session) roomFindQ.session(session);
+    const room = await roomFindQ;
+
+    // Past days keep their historical counts
+    const today = normalizeDate(new Date(), room.timezone);
+    const { updated, conflicts } = await Availability.adjustTotalUnits(room._id, total_units, today, { session });
+    if (conflicts.length > 0) {
+      if (session) await session.abortTransaction();
+      const slotMinutes = room.booking_mode === 'slot' ? room.slot_minutes : null;
+      return res.status(409).send({
+        error: 'Units already booked exceed the requested total',
+        conflicting_dates: conflicts.map(d => formatAvailabilityDate(d, slotMinutes, room.timezone)),
+      });
+    }
+
+    room.total_units = total_units;
+    await room.save(session ? { session } : undefined);
+    // Added units may serve waiting entries
+    await waitlist.fillFromWaitlist(room._id, { session });
+
+    if (session) await session.commitTransaction();
+    await searchCache.invalidateRoom(room);
+    await realtime.publishRoomAvailability(room, today);
+
+    res.send({ room: room.toPublicJSON(), availability_updated: updated });
+  } catch (err) {
+    console.error(err);
+    if (session) await session.abortTransaction();
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    res.status(500).send({ error: 'server error' });
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+});
+
+// ---------------------- ADMIN: DEACTIVATE ROOM ----------------------
+app.delete('/api/v1/admin/rooms/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) return res.status(404).send({ error: 'Room not found' });
+
+    // Soft delete: search and booking already ignore inactive rooms
+    if (room.is_active) {
+      room.is_active = false;
+      await room.save();
+      await searchCache.invalidateRoom(room);
+      await realtime.publishRoomStatus(room, 'deactivated');
+    }
+
+    // Report confirmed bookings that have not finished yet so they can be rehomed
+    const today = normalizeDate(new Date(), room.timezone);
+    const affected = await Booking.find({
+      room_id: room._id,
+      status: 'confirmed',
+      end_date: { $gte: today },
+    })
+      .populate('user_id', 'email name')
+      .sort({ start_date: 1 });
+
+    res.send({
+      message: 'Room deactivated',
+      room: room.toPublicJSON(),
+      affected_bookings: affected.map(b => b.toPublicJSON()),
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid room ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- ADMIN: SEARCH CACHE ----------------------
+app.get('/api/v1/admin/search-cache', auth, requireAdmin, async (req, res) => {
+  try {
+    res.send({ search_cache: await searchCache.getStats() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.delete('/api/v1/admin/search-cache', auth, requireAdmin, async (req, res) => {
+  try {
+    const dropped = await searchCache.invalidateAll();
+    await searchCache.resetStats();
+    res.send({ message: 'Search cache cleared', dropped });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- ADMIN: DISCOUNT CODES ----------------------
+app.post('/api/v1/admin/discount-codes', auth, requireAdmin, validate('createDiscountCode'), async (req, res) => {
+  try {
+    const discountCode = await DiscountCode.create(req.body);
+    res.status(201).send({ discount_code: discountCode.toPublicJSON() });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).send({ error: 'Discount code already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).send({ error: err.message });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.get('/api/v1/admin/discount-codes', auth, requireAdmin, async (req, res) => {
+  try {
+    const codes = await DiscountCode.find().sort({ created_at: -1 });
+    res.send({ discount_codes: codes.map(c => c.toPublicJSON()) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.patch('/api/v1/admin/discount-codes/:id/deactivate', auth, requireAdmin, async (req, res) => {
+  try {
+    const discountCode = await DiscountCode.findByIdAndUpdate(req.params.id, { is_active: false }, { new: true });
+    if (!discountCode) return res.status(404).send({ error: 'Discount code not found' });
+
+    res.send({ discount_code: discountCode.toPublicJSON() });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid discount code ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// ---------------------- ADMIN: BOOKINGS ----------------------
+// Every user's bookings overlapping a window, optionally filtered, by start date.
+// A YYYY-MM-DD end_date includes that whole day; date-times (UTC unless they carry
+// an offset) bound the window exactly, end exclusive.
+function adminWindowBound(value, isEnd) {
+  if (String(value).includes('T')) return parseDateTime(value, 'UTC');
+  const day = parseDay(value);
+  return isEnd ? new Date(day.getTime() + 24 * 60 * 60 * 1000) : day;
+}
+
+app.get('/api/v1/admin/bookings', auth, requireAdmin, validate('adminListBookings'), async (req, res) => {
+  const { start_date, end_date, status, room_id, user_id, email } = req.query;
+  const limit = req.query.limit || 50;
+  const offset = req.query.offset || 0;
+
+  const windowStart = adminWindowBound(start_date, false);
+  const windowEnd = adminWindowBound(end_date, true);
+  if (windowEnd <= windowStart) {
+    return res.status(400).send({ error: 'end_date must not be before start_date' });
+  }
+
+  try {
+    const query = Booking.findByDateRange(windowStart, windowEnd, status || null);
+    if (room_id) query.where({ room_id });
+    if (user_id) query.where({ user_id });
+    if (email) {
+      const user = await User.findOne({ email: email.toLowerCase() }).select('_id');
+      if (!user) return res.send({ bookings: [], total: 0, limit, offset });
+      query.where({ user_id: user._id });
+    }
+
+    const total = await Booking.countDocuments(query.getFilter());
+    const bookings = await query.skip(offset).limit(limit);
+
+    res.send({ bookings: bookings.map(b => b.toPublicJSON()), total, limit, offset });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// Cancel anyone's booking; the reason is required and goes to the owner's email
+app.patch('/api/v1/admin/bookings/:id/cancel', auth, requireAdmin, validate('adminCancelBooking'), (req, res) => (
+  cancelBooking(req, res, { _id: req.params.id }, req.body.reason)
+));
+
+// ---------------------- ADMIN: USERS ----------------------
+// Deactivated users cannot log in or refresh, and their access tokens stop working
+// on the next request (the auth middleware checks is_active). Bookings are kept.
+async function setUserActive(req, res, isActive) {
+  if (!isActive && String(req.params.id) === String(req.user.id)) {
+    return res.status(400).send({ error: 'You cannot deactivate your own account' });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { is_active: isActive }, { new: true });
+    if (!user) return res.status(404).send({ error: 'User not found' });
+
+    res.send({ user: user.toPublicJSON() });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid user ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+}
+
+app.patch('/api/v1/admin/users/:id/deactivate', auth, requireAdmin, (req, res) => setUserActive(req, res, false));
+
+app.patch('/api/v1/admin/users/:id/reactivate', auth, requireAdmin, (req, res) => setUserActive(req, res, true));
+
+// ---------------------- ADMIN: LOGIN LOCKOUTS ----------------------
+// Lift a login lockout early. `unlocked` is false if none was running; the
+// account's failure count is cleared either way.
+app.patch('/api/v1/admin/users/:id/unlock', auth, requireAdmin, validate('adminUnlock'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).send({ error: 'User not found' });
+
+    const unlocked = await lockout.unlockAccount(user.email, {
+      actorId: req.user.id,
+      userId: user._id,
+      reason: req.body.reason || null,
+    });
+    res.send({ user: user.toPublicJSON(), unlocked });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).send({ error: 'Invalid user ID format' });
+    }
+
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+app.patch('/api/v1/admin/ips/:ip/unlock', auth, requireAdmin, validate('adminUnlock'), async (req, res) => {
+  const { ip } = req.params;
+  if (!net.isIP(ip)) return res.status(400).send({ error: 'Invalid IP address' });
+
+  try {
+    const unlocked = await lockout.unlockIp(ip, { actorId: req.user.id, reason: req.body.reason || null });
+    res.send({ ip, unlocked });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
+
+// Lockouts and unlocks, newest first
+app.get('/api/v1/admin/audit-log', auth, requireAdmin, validate('adminListAuditLog'), async (req, res) => {
+  const { event, scope, email, ip, user_id } = req.query;
+  const limit = req.query.limit || 50;
+  const offset = req.query.offset || 0;
+
+  const filter = {};
+  if (event) filter.event = event;
+  if (scope) filter.scope = scope;
+  if (email) filter.email = email.toLowerCase();
+  if (ip) filter.ip = ip;
+  if (user_id) filter.user_id = user_id;
+
+  try {
+    const total = await AuditLog.countDocuments(filter);
+    const records = await AuditLog.find(filter).sort({ created_at: -1 }).skip(offset).limit(limit);
+
+    res.send({ records: records.map(r => r.toPublicJSON()), total, limit, offset });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send({ error: 'server error' });
+  }
+});
 
 module.exports = app;
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config.json');
+const { redis } = require('../redis');
+
+/* CONFIG */
+const JWT_SECRET = process.env.JWT_SECRET || config.jwt.secret;
+const ACCESS_EXPIRES_IN = config.jwt.expiresIn;
+const REFRESH_TTL_SECONDS = config.jwt.refreshExpiresDays * 24 * 60 * 60;
+
+// Keys:
+//   auth:refresh:<hash>      live refresh token -> { user_id, sid, issued_at }
+//   auth:used:<hash>         rotated-out refresh token -> sid (replay detection)
+//   auth:session:<sid>       hash of the session's live refresh token
+//   auth:revoked:jti:<jti>   revoked access token, until it would have expired
+//   auth:revoked:sid:<sid>   revoked session: none of its access tokens are accepted
+// A session (sid) starts at login and lives on through each refresh; every access
+// token carries it, so logging out or replaying a refresh token ends all of them.
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue an access token and a refresh token. Access tokens are short-lived JWTs;
+ * refresh tokens are opaque, stored hashed in Redis, and valid once.
+ * @param {Object} user - User document
+ * @param {string} [sid] - Session to continue (on refresh); a new one by default
+ * @returns {Promise<{token: string, refresh_token: string, expires_in: number}>} expires_in in seconds
+ */
+async function issueTokens(user, sid = uuidv4()) {
+  const token = jwt.sign(
+    { id: user._id, email: user.email, role: user.role, sid },
+    JWT_SECRET,
+    { expiresIn: ACCESS_EXPIRES_IN, jwtid: uuidv4() },
+  );
+  const { iat, exp } = jwt.decode(token);
+
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const hash = hashToken(refreshToken);
+  const stored = JSON.stringify({ user_id: String(user._id), sid, issued_at: iat });
+  await redis
+    .multi()
+    .set(`auth:refresh:${hash}`, stored, 'EX', REFRESH_TTL_SECONDS)
+    .set(`auth:session:${sid}`, hash, 'EX', REFRESH_TTL_SECONDS)
+    .exec();
+
+  return { token, refresh_token: refreshToken, expires_in: exp - iat };
+}
+
+/**
+ * Whether an access token (or its session) has been revoked since it was verified
+ * @param {Object} payload - Verified claims
+ * @returns {Promise<boolean>}
+ */
+async function isRevoked(payload) {
+  // Tokens issued before sessions existed carry neither claim and cannot be revoked
+  const keys = [];
+  if (payload.jti) keys.push(`auth:revoked:jti:${payload.jti}`);
+  if (payload.sid) keys.push(`auth:revoked:sid:${payload.sid}`);
+  return keys.length > 0 && (await redis.exists(...keys)) > 0;
+}
+
+/**
+ * Verify an access token: signature, expiry and the revocation list
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Promise<Object>} The token's claims
+ * @throws {Error} name 'TokenRevokedError' if revoked, or a jsonwebtoken error if invalid
+ */
+async function verifyAccessToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+
+  if (await isRevoked(payload)) {
+    const err = new Error('Token revoked');
+    err.name = 'TokenRevokedError';
+    throw err;
+  }
+  return payload;
+}
+
+/**
+ * End a session: its refresh token is deleted and its access tokens are rejected
+ * @param {string} sid - Session ID (the access token's sid claim)
+ */
+async function revokeSession(sid) {
+  const hash = await redis.get(`auth:session:${sid}`);
+  const tx = redis
+    .multi()
+    .set(`auth:revoked:sid:${sid}`, '1', 'EX', REFRESH_TTL_SECONDS)
+    .del(`auth:session:${sid}`);
+  if (hash) tx.del(`auth:refresh:${hash}`);
+  await tx.exec();
+}
+
+/**
+ * Revoke the access token a request was made with, and its session
+ * @param {Object} payload - Verified claims (req.user)
+ */
+async function revokeAccessToken(payload) {
+  if (payload.jti) {
+    const ttl = Math.max(1, payload.exp - Math.floor(Date.now() / 1000));
+    await redis.set(`auth:revoked:jti:${payload.jti}`, '1', 'EX', ttl);
+  }
+  if (payload.sid) await revokeSession(payload.sid);
+}
+
+/**
+ * Use up a refresh token. Each token works once; presenting one that was already
+ * rotated means it leaked (or was replayed), so its whole session is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<{user_id?: string, sid?: string, issued_at?: number, error?: string}>} issued_at in seconds
+ */
+async function consumeRefreshToken(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const [[, stored]] = await redis
+    .multi()
+    .get(`auth:refresh:${hash}`)
+    .del(`auth:refresh:${hash}`)
+    .exec();
+
+  if (!stored) {
+    const reusedSid = await redis.get(`auth:used:${hash}`);
+    if (reusedSid) {
+      await revokeSession(reusedSid);
+      return { error: 'Refresh token reuse detected; session revoked' };
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  const { user_id, sid, issued_at } = JSON.parse(stored);
+  await redis.set(`auth:used:${hash}`, sid, 'EX', REFRESH_TTL_SECONDS);
+  return { user_id, sid, issued_at };
+}
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  isRevoked,
+  revokeAccessToken,
+  revokeSession,
+  consumeRefreshToken,
+};
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const config = require('../../config/config.json');
+const { redis } = require('../redis');
+const { Room, normalizeDate, getDateRange, formatDay } = require('../mongodb');
+
+/* CONFIG */
+const ENABLED = process.env.SEARCH_CACHE_ENABLED
+  ? process.env.SEARCH_CACHE_ENABLED !== '0'
+  : config.search.cacheEnabled;
+const TTL_SECONDS = config.search.cacheTtlSeconds;
+
+// Keys:
+//   search:result:<hash>   cached page ({ params, rooms, next_cursor })
+//   search:idx:day:<day>   sorted set of result keys whose range covers the UTC day (score = expiry ms)
+//   search:idx:all         sorted set of every result key (score = expiry ms)
+//   search:gen             bumped on every invalidation; a result computed before a bump is not stored
+const GEN_KEY = 'search:gen';
+const ALL_INDEX_KEY = 'search:idx:all';
+const HITS_KEY = 'search:stats:hits';
+const MISSES_KEY = 'search:stats:misses';
+
+function dayIndexKey(day) {
+  return `search:idx:day:${formatDay(day)}`;
+}
+
+// Store a result only if no invalidation happened since it was read from MongoDB,
+// and index it under every day it covers
+const STORE_SCRIPT = `
+if (redis.call('GET', KEYS[1]) or '0') ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[2], ARGV[2], 'EX', ARGV[3])
+for i = 3, #KEYS do
+  redis.call('ZREMRANGEBYSCORE', KEYS[i], '-inf', ARGV[5])
+  redis.call('ZADD', KEYS[i], ARGV[4], KEYS[2])
+  redis.call('PEXPIREAT', KEYS[i], ARGV[4])
+end
+return 1
+`;
+
+// Canonical JSON (sorted keys, no empty values) so equivalent queries share a key
+function canonicalize(params) {
+  const out = {};
+  for (const key of Object.keys(params).sort()) {
+    const value = params[key];
+    if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+    out[key] = value;
+  }
+  return JSON.stringify(out);
+}
+
+function resultKey(params) {
+  return `search:result:${crypto.createHash('sha1').update(canonicalize(params)).digest('hex')}`;
+}
+
+// UTC days covered by a normalized search (slot searches are end exclusive)
+function searchDays(params) {
+  const start = new Date(params.start);
+  const end = new Date(params.end);
+  if (params.mode === 'slot') {
+    return getDateRange(normalizeDate(start), normalizeDate(new Date(end.getTime() - 1)));
+  }
+  return getDateRange(start, end);
+}
+
+/**
+ * Whether a room passes a cached search's room filters (availability aside), i.e.
+ * whether a change to its availability could change that search's result
+ * @param {Object} room - Room document or plain object
+ * @param {Object} params - Normalized search params
+ * @returns {boolean}
+ */
+function roomMatchesSearch(room, params) {
+  const slotRoom = room.booking_mode === 'slot';
+  if ((params.mode === 'slot') !== slotRoom) return false;
+  if (params.min_capacity && room.capacity < params.min_capacity) return false;
+  if (params.amenities && !params.amenities.every(a => (room.amenities || []).includes(a))) return false;
+  if (params.location && !String(room.location || '').toLowerCase().includes(params.location)) return false;
+  if (params.floor != null && room.floor !== params.floor) return false;
+  if (params.min_price_cents != null && room.price_cents < params.min_price_cents) return false;
+  if (params.max_price_cents != null && room.price_cents > params.max_price_cents) return false;
+  return true;
+}
+
+/**
+ * Look up a cached search page. Counts a hit or a miss.
+ * @param {Object} params - Normalized search params (see api.js)
+ * @returns {Promise<{key: string, gen: string, value: Object|null}|null>} null if the cache is disabled or unreachable
+ */
+async function lookup(params) {
+  if (!ENABLED) return null;
+
+  try {
+    const key = resultKey(params);
+    const [cached, gen] = await redis.mget(key, GEN_KEY);
+    await redis.incr(cached ? HITS_KEY : MISSES_KEY);
+    return { key, gen: gen || '0', value: cached ? JSON.parse(cached) : null };
+  } catch (err) {
+    console.error('[cache] search lookup failed:', err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+/**
+ * Cache a search page computed after lookup() missed
+ * @param {Object} entry - Result of lookup()
+ * @param {Object} params - Normalized search params
+ * @param {Object} value - { rooms, next_cursor }
+ * @returns {Promise<boolean>} True if stored (false if invalidated in the meantime)
+ */
+async function store(entry, params, value) {
+  if (!entry) return false;
+
+  try {
+    const now = Date.now();
+    const expiresAt = now + TTL_SECONDS * 1000;
+    const indexKeys = [...searchDays(params).map(dayIndexKey), ALL_INDEX_KEY];
+    const stored = await redis.eval(
+      STORE_SCRIPT,
+      2 + indexKeys.length,
+      GEN_KEY, entry.key, ...indexKeys,
+      entry.gen, JSON.stringify({ params, ...value }), TTL_SECONDS, expiresAt, now,
+    );
+    return stored === 1;
+  } catch (err) {
+    console.error('[cache] search store failed:', err && err.message ? err.message : err);
+    return false;
+  }
+}
+
+// Delete the cached results among `keys` whose filters match one of the rooms
+async function deleteMatching(keys, rooms) {
+  if (keys.length === 0) return 0;
+
+  const values = await redis.mget(...keys);
+  const stale = keys.filter((key, i) => {
+    if (!values[i]) return false;
+    const { params } = JSON.parse(values[i]);
+    return rooms.some(room => roomMatchesSearch(room, params));
+  });
+  if (stale.length > 0) await redis.del(...stale);
+  return stale.length;
+}
+
+// Room documents for a room, an id, or a list of either (e.g. before/after snapshots)
+async function resolveRooms(roomOrRooms) {
+  const list = Array.isArray(roomOrRooms) ? roomOrRooms : [roomOrRooms];
+  const rooms = [];
+  for (const item of list) {
+    if (item && item.booking_mode !== undefined) {
+      rooms.push(item);
+    } else if (item) {
+      const room = await Room.findById(item).lean();
+      if (room) rooms.push(room);
+    }
+  }
+  return rooms;
+}
+
+/**
+ * Invalidate cached searches affected by an Availability change for a room on
+ * some days or slots: those covering one of the dates whose filters match the room.
+ * Call after the change is committed.
+ * @param {Object|ObjectId|Array} room - Room document(s) or id(s)
+ * @param {Date[]} dates - Availability dates (days or slot starts) that changed
+ * @returns {Promise<number>} Number of cached results dropped
+ */
+async function invalidateRoomDates(room, dates) {
+  if (!ENABLED) return 0;
+
+  try {
+    await redis.incr(GEN_KEY);
+    const rooms = await resolveRooms(room);
+    const now = Date.now();
+
+    const days = new Set(dates.map(d => normalizeDate(d).getTime()));
+    const keys = new Set();
+    for (const day of days) {
+      const members = await redis.zrangebyscore(dayIndexKey(new Date(day)), now, '+inf');
+      members.forEach(k => keys.add(k));
+    }
+
+    return await deleteMatching([...keys], rooms);
+  } catch (err) {
+    console.error('[cache] search invalidation failed:', err && err.message ? err.message : err);
+    return 0;
+  }
+}
+
+/**
+ * Invalidate every cached search whose filters match the room, for any dates.
+ * Used for admin changes; pass the room before and after an update so searches
+ * it enters or leaves are both dropped.
+ * @param {Object|ObjectId|Array} room - Room document(s) or id(s)
+ * @returns {Promise<number>} Number of cached results dropped
+ */
+async function invalidateRoom(room) {
+  if (!ENABLED) return 0;
+
+  try {
+    await redis.incr(GEN_KEY);
+    const rooms = await resolveRooms(room);
+    const keys = await redis.zrangebyscore(ALL_INDEX_KEY, Date.now(), '+inf');
+    return await deleteMatching(keys, rooms);
+  } catch (err) {
+    console.error('[cache] search invalidation failed:', err && err.message ? err.message : err);
+    return 0;
+  }
+}
+
+/**
+ * Drop every cached search (e.g. after bulk availability maintenance)
+ * @returns {Promise<number>} Number of cached results dropped
+ */
+async function invalidateAll() {
+  if (!ENABLED) return 0;
+
+  try {
+    await redis.incr(GEN_KEY);
+    const keys = await redis.zrangebyscore(ALL_INDEX_KEY, Date.now(), '+inf');
+    if (keys.length > 0) await redis.del(...keys);
+    return keys.length;
+  } catch (err) {
+    console.error('[cache] search invalidation failed:', err && err.message ? err.message : err);
+    return 0;
+  }
+}
+
+/**
+ * Hit/miss counters and the number of live cached results
+ * @returns {Promise<Object>}
+ */
+async function getStats() {
+  const [hits, misses] = (await redis.mget(HITS_KEY, MISSES_KEY)).map(v => parseInt(v || '0', 10));
+  const entries = await redis.zcount(ALL_INDEX_KEY, Date.now(), '+inf');
+  const lookups = hits + misses;
+  return {
+    enabled: ENABLED,
+    ttl_seconds: TTL_SECONDS,
+    hits,
+    misses,
+    hit_rate: lookups > 0 ? Number((hits / lookups).toFixed(4)) : null,
+    entries,
+  };
+}
+
+/**
+ * Reset the hit/miss counters
+ */
+async function resetStats() {
+  await redis.del(HITS_KEY, MISSES_KEY);
+}
+
+module.exports = {
+  lookup,
+  store,
+  invalidateRoomDates,
+  invalidateRoom,
+  invalidateAll,
+  getStats,
+  resetStats,
+  roomMatchesSearch,
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const config = require('../../config/config.json');
+const { formatDay } = require('../mongodb');
+
+/* CONFIG */
+const REFRESH_MINUTES = config.calendar.feedRefreshMinutes;
+
+const PRODUCT_ID = '-//Room Booking//Bookings//EN';
+const UID_DOMAIN = 'room-booking';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Booking status -> iCalendar VEVENT STATUS
+const EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+};
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line to 75 octets, continuation lines starting with a space (RFC 5545 3.1)
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+// 20250601T090000Z
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Day bookings are all-day events (VALUE=DATE); slot bookings are timed events in UTC
+function formatBoundary(name, date, slotMinutes) {
+  if (slotMinutes) return `${name}:${formatDateTime(date)}`;
+  return `${name};VALUE=DATE:${formatDay(date).replace(/-/g, '')}`;
+}
+
+/**
+ * Build the VEVENT lines for a booking. Its room (room_id) should be populated
+ * with name and location.
+ * @param {Object} booking - Booking document
+ * @param {Date} [stamp] - DTSTAMP (default now)
+ * @returns {string[]} Unfolded content lines
+ */
+function bookingEvent(booking, stamp = new Date()) {
+  const room = booking.room_id && booking.room_id.name ? booking.room_id : null;
+  const updatedAt = booking.updated_at || booking.created_at || stamp;
+  const createdAt = booking.created_at || updatedAt;
+
+  const description = [
+    `Quantity: ${booking.quantity}`,
+    `Reference: ${booking._id}`,
+  ];
+  if (booking.notes) description.push(`Notes: ${booking.notes}`);
+  if (booking.status === 'cancelled' && booking.cancellation_reason) {
+    description.push(`Cancelled: ${booking.cancellation_reason}`);
+  }
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${booking._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    formatBoundary('DTSTART', booking.start_date, booking.slot_minutes),
+    // A day booking holds end_date too (its Availability days run through it, see
+    // getBookingDates), but an all-day DTEND is exclusive (RFC 5545 3.6.1): the event
+    // ends the day after. Slot end times are already exclusive.
+    formatBoundary(
+      'DTEND',
+      booking.slot_minutes ? booking.end_date : new Date(booking.end_date.getTime() + DAY_MS),
+      booking.slot_minutes,
+    ),
+    `SUMMARY:${escapeText(room ? room.name : 'Room booking')}`,
+  ];
+  if (room && room.location) lines.push(`LOCATION:${escapeText(room.location)}`);
+  lines.push(
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `STATUS:${EVENT_STATUS[booking.status] || 'CONFIRMED'}`,
+    // Calendars apply an update only if SEQUENCE grows; every change bumps updated_at
+    `SEQUENCE:${Math.max(0, Math.floor((updatedAt - createdAt) / 1000))}`,
+    `CREATED:${formatDateTime(createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(updatedAt)}`,
+    `TRANSP:${booking.status === 'cancelled' ? 'TRANSPARENT' : 'OPAQUE'}`,
+    'END:VEVENT',
+  );
+  return lines;
+}
+
+/**
+ * Render bookings as an iCalendar (RFC 5545) document
+ * @param {Object[]} bookings - Booking documents with room_id populated (name, location)
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by subscribing clients
+ * @param {boolean} [options.feed] - Add refresh hints for subscribed calendars
+ * @returns {string} text/calendar body
+ */
+function renderCalendar(bookings, { name = null, feed = false } = {}) {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (feed) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${REFRESH_MINUTES}M`, `X-PUBLISHED-TTL:PT${REFRESH_MINUTES}M`);
+  }
+  for (const booking of bookings) lines.push(...bookingEvent(booking, stamp));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Create a secret for a user's calendar feed URL. Only the hash is stored, so a
+ * leaked database does not expose working feed URLs.
+ * @returns {{token: string, hash: string}}
+ */
+function createFeedToken() {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, hash: hashFeedToken(token) };
+}
+
+/**
+ * Hash a feed token for lookup
+ * @param {string} token - Token from the feed URL
+ * @returns {string}
+ */
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  renderCalendar,
+  bookingEvent,
+  createFeedToken,
+  hashFeedToken,
+};
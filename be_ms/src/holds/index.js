@@ -0,0 +1,84 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config.json');
+const { acquireLock, releaseLock } = require('../redis');
+const { mongoose, Booking, serverInfo } = require('../mongodb');
+const searchCache = require('../cache');
+const realtime = require('../realtime');
+const waitlist = require('../waitlist');
+const notifications = require('../notifications');
+
+const EXPIRED_REASON = 'Hold expired';
+
+// Query matching pending holds whose time is up
+function expiredHoldsQuery(now) {
+  return { status: 'pending', hold_expires_at: { $ne: null, $lte: now } };
+}
+
+// Cancel one room's lapsed holds and pass their units to the waitlist, under the
+// room lock in one transaction. Returns the number released, or null if the room is busy.
+async function expireRoomHolds(roomId) {
+  const lockKey = `lock:room:${roomId}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return null;
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+
+  try {
+    if (session) await session.startTransaction();
+
+    // Re-read under the lock: a hold confirmed meanwhile is no longer pending
+    const expiredQ = Booking.find({ room_id: roomId, ...expiredHoldsQuery(new Date()) });
+    if (session) expiredQ.session(session);
+    const expired = await expiredQ;
+
+    const dates = [];
+    for (const booking of expired) {
+      await booking.cancel(EXPIRED_REASON, { session });
+      await notifications.notifyBooking('booking.cancelled', booking, { session });
+      dates.push(...booking.getAvailabilityDates());
+    }
+    const filled = await waitlist.fillFromWaitlist(roomId, { session });
+
+    if (session) await session.commitTransaction();
+
+    const changed = [...dates, ...filled.dates];
+    if (changed.length > 0) {
+      await searchCache.invalidateRoomDates(roomId, changed);
+      await realtime.publishAvailabilityChange(roomId, changed);
+    }
+    return expired.length;
+  } catch (err) {
+    if (session) await session.abortTransaction();
+    throw err;
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+}
+
+/**
+ * Release pending holds that were not confirmed in time: each is cancelled
+ * (reason "Hold expired") and its units go back to availability and the
+ * waitlist. Rooms that are locked are skipped and picked up by the next sweep.
+ * @returns {Promise<number>} Number of holds released
+ */
+async function expireHolds() {
+  const roomIds = await Booking.distinct('room_id', expiredHoldsQuery(new Date()));
+
+  let total = 0;
+  for (const roomId of roomIds) {
+    try {
+      total += (await expireRoomHolds(roomId)) || 0;
+    } catch (err) {
+      console.error(`[holds] releasing holds for room ${roomId} failed:`, err && err.message ? err.message : err);
+    }
+  }
+  return total;
+}
+
+module.exports = {
+  EXPIRED_REASON,
+  expireHolds,
+};
@@ -0,0 +1,189 @@
+const config = require('../../config/config.json');
+const { redis } = require('../redis');
+const { AuditLog } = require('../mongodb');
+
+/* CONFIG */
+const PROTECTION = config.security.loginProtection;
+const ENABLED = process.env.LOGIN_PROTECTION
+  ? process.env.LOGIN_PROTECTION !== '0'
+  : PROTECTION.enabled;
+const WINDOW_SECONDS = PROTECTION.windowMinutes * 60;
+const LOCKOUT_SECONDS = PROTECTION.lockoutMinutes * 60;
+
+// Keys (failure counters expire windowMinutes after the first failure):
+//   login:fail:account:<email>   failed logins for an address, known or not
+//   login:fail:ip:<ip>           failed logins from a client address, any account
+//   login:wait:account:<email>   progressive delay: no attempt until it expires
+//   login:lock:account:<email>   account lockout
+//   login:lock:ip:<ip>           client address lockout
+// Accounts are tracked by the email tried, so unknown addresses are throttled the
+// same way and the responses do not reveal which emails have accounts.
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+// Seconds left on a PTTL result, or 0 if the key is missing or has no expiry
+function secondsLeft(pttl) {
+  return pttl > 0 ? Math.ceil(pttl / 1000) : 0;
+}
+
+// Delay after the nth failure: none below delayAfterFailures, then delayBaseMs doubling up to maxDelayMs
+function delayMs(failures) {
+  if (failures < PROTECTION.delayAfterFailures) return 0;
+  return Math.min(PROTECTION.maxDelayMs, PROTECTION.delayBaseMs * 2 ** (failures - PROTECTION.delayAfterFailures));
+}
+
+async function audit(record) {
+  try {
+    await AuditLog.create(record);
+  } catch (err) {
+    // The lock itself is in Redis and already applies
+    console.error('[lockout] could not write audit record:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Whether a login attempt may go ahead. Call before checking the password, so a
+ * locked account is refused even with the right one.
+ * @param {string} email - Email the client is logging in with
+ * @param {string} ip - Client address
+ * @returns {Promise<{error: string, retryAfter: number}|null>} Why not and for how many seconds, or null if allowed
+ */
+async function checkLogin(email, ip) {
+  if (!ENABLED) return null;
+
+  const account = normalizeEmail(email);
+  const [[, accountLock], [, ipLock], [, wait]] = await redis
+    .multi()
+    .pttl(`login:lock:account:${account}`)
+    .pttl(`login:lock:ip:${ip}`)
+    .pttl(`login:wait:account:${account}`)
+    .exec();
+
+  if (accountLock > 0) {
+    return { error: 'Too many failed login attempts; account temporarily locked', retryAfter: secondsLeft(accountLock) };
+  }
+  if (ipLock > 0) {
+    return { error: 'Too many failed login attempts from this address', retryAfter: secondsLeft(ipLock) };
+  }
+  if (wait > 0) {
+    return { error: 'Too many failed login attempts; please wait before trying again', retryAfter: secondsLeft(wait) };
+  }
+  return null;
+}
+
+// Start a lockout unless one is running; audited only when it starts
+async function lock(scope, id, record) {
+  const lockedUntil = new Date(Date.now() + LOCKOUT_SECONDS * 1000);
+  const started = await redis.set(`login:lock:${scope}:${id}`, lockedUntil.toISOString(), 'EX', LOCKOUT_SECONDS, 'NX');
+  if (!started) return;
+
+  // The count starts over once the lockout ends
+  const tx = redis.multi().del(`login:fail:${scope}:${id}`);
+  if (scope === 'account') tx.del(`login:wait:account:${id}`);
+  await tx.exec();
+
+  console.warn(`[lockout] ${scope} ${id} locked until ${lockedUntil.toISOString()} after ${record.failures} failed login(s)`);
+  await audit({ event: 'login.locked', scope, locked_until: lockedUntil, ...record });
+}
+
+/**
+ * Count a failed login against the account and the client address. Adds the
+ * progressive delay, and locks either one out once it reaches its limit within
+ * windowMinutes (accountMaxFailures, ipMaxFailures).
+ * @param {string} email - Email the client tried
+ * @param {string} ip - Client address
+ * @param {Object} [user] - User document, if the email has an account
+ * @returns {Promise<void>}
+ */
+async function recordFailure(email, ip, user = null) {
+  if (!ENABLED) return;
+
+  const account = normalizeEmail(email);
+  const results = await redis
+    .multi()
+    .set(`login:fail:account:${account}`, 0, 'EX', WINDOW_SECONDS, 'NX')
+    .incr(`login:fail:account:${account}`)
+    .set(`login:fail:ip:${ip}`, 0, 'EX', WINDOW_SECONDS, 'NX')
+    .incr(`login:fail:ip:${ip}`)
+    .exec();
+  const accountFailures = results[1][1];
+  const ipFailures = results[3][1];
+
+  if (accountFailures >= PROTECTION.accountMaxFailures) {
+    await lock('account', account, { email: account, ip, user_id: user ? user._id : undefined, failures: accountFailures });
+  } else {
+    const delay = delayMs(accountFailures);
+    if (delay > 0) await redis.set(`login:wait:account:${account}`, '1', 'PX', delay);
+  }
+
+  if (ipFailures >= PROTECTION.ipMaxFailures) {
+    await lock('ip', ip, { ip, failures: ipFailures });
+  }
+}
+
+/**
+ * Clear an account's failures and delay after a successful login. The client
+ * address keeps its count, so one valid account does not reset it.
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+async function recordSuccess(email) {
+  if (!ENABLED) return;
+
+  const account = normalizeEmail(email);
+  await redis.del(`login:fail:account:${account}`, `login:wait:account:${account}`);
+}
+
+/**
+ * Lift an account lockout and clear its failures. Audited if a lockout was running.
+ * @param {string} email
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - Admin doing it; unset when automatic (e.g. a password reset)
+ * @param {string} [options.userId] - The account's user
+ * @param {string} [options.reason]
+ * @returns {Promise<boolean>} True if the account was locked
+ */
+async function unlockAccount(email, { actorId = null, userId = null, reason = null } = {}) {
+  const account = normalizeEmail(email);
+  const [[, removed]] = await redis
+    .multi()
+    .del(`login:lock:account:${account}`)
+    .del(`login:fail:account:${account}`, `login:wait:account:${account}`)
+    .exec();
+  if (removed === 0) return false;
+
+  await audit({
+    event: 'login.unlocked', scope: 'account', email: account, user_id: userId, actor_id: actorId, reason,
+  });
+  return true;
+}
+
+/**
+ * Lift a client address lockout and clear its failures. Audited if a lockout was running.
+ * @param {string} ip
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - Admin doing it
+ * @param {string} [options.reason]
+ * @returns {Promise<boolean>} True if the address was locked
+ */
+async function unlockIp(ip, { actorId = null, reason = null } = {}) {
+  const [[, removed]] = await redis
+    .multi()
+    .del(`login:lock:ip:${ip}`)
+    .del(`login:fail:ip:${ip}`)
+    .exec();
+  if (removed === 0) return false;
+
+  await audit({ event: 'login.unlocked', scope: 'ip', ip, actor_id: actorId, reason });
+  return true;
+}
+
+module.exports = {
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+  unlockIp,
+};
@@ -162,6 +162,7 @@ async function showStats() {
 
 /**
  * Clean up old data
+ * @returns {Promise<boolean>} True if cleanup completed
  */
 async function cleanup(dryRun = true) {
   console.log('\n=== Database Cleanup ===\n');
@@ -221,9 +222,11 @@ async function cleanup(dryRun = true) {
     } else {
       console.log('\nCleanup completed.\n');
     }
+    return true;
         
   } catch (error) {
     console.error('❌ Cleanup failed:', error.message);
+    return false;
   }
 }
 
@@ -291,32 +294,33 @@ async function verifyConsistency() {
 
 /**
  * Create missing availability records for active rooms
+ * @returns {Promise<boolean>} True if availability was ensured for every room
  */
 async function ensureAvailability(days = 90) {
   console.log(`\n=== Ensuring Availability (${days} days) ===\n`);
     
   try {
-    const { initializeAvailability } = require('./index');
+    const { initializeAvailability, normalizeDate } = require('./index');
     const activeRooms = await Room.find({ is_active: true });
         
     console.log(`Found ${activeRooms.length} active rooms\n`);
         
-    const startDate = new Date();
-    startDate.setUTCHours(0, 0, 0, 0);
-        
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + days);
-        
     for (const room of activeRooms) {
-      const totalUnits = 1; // Default, adjust as needed
-      await initializeAvailability(room._id, totalUnits, startDate, endDate);
-      console.log(`✓ Ensured availability for: ${room.name}`);
+      // "Today" is the room's local day
+      const startDate = normalizeDate(new Date(), room.timezone);
+      const endDate = new Date(startDate);
+      endDate.setUTCDate(endDate.getUTCDate() + days);
+
+      await initializeAvailability(room._id, room.total_units, startDate, endDate);
+      console.log(`✓ Ensured availability for: ${room.name} (${room.total_units} units)`);
     }
         
     console.log('\n✓ Availability ensured for all active rooms\n');
+    return true;
         
   } catch (error) {
     console.error('❌ Failed to ensure availability:', error.message);
+    return false;
   }
 }
 
@@ -8,6 +8,7 @@ const serverInfo = {
 
 /* CONFIG */
 const MONGO_URL = process.env.MONGO_URL || config.database.mongodb.url;
+const DEFAULT_TIMEZONE = config.availability.defaultTimezone;
 
 // ---------------------- MONGOOSE CONNECTION ----------------------
 const connectDB = async () => {
@@ -89,6 +90,41 @@ const UserSchema = new mongoose.Schema({
     default: true,
     index: true,
   },
+  email_notifications: {
+    type: Boolean,
+    default: true, // false: booking emails are not sent (checked at delivery)
+  },
+  calendar_token_hash: {
+    type: String,
+    select: false, // SHA-256 of the calendar feed URL token
+  },
+  email_verified: {
+    type: Boolean,
+    default: false,
+  },
+  email_verified_at: {
+    type: Date,
+  },
+  // Single-use account tokens, stored as SHA-256 hashes; cleared when used
+  email_verification_token_hash: {
+    type: String,
+    select: false,
+  },
+  email_verification_expires_at: {
+    type: Date,
+    select: false,
+  },
+  password_reset_token_hash: {
+    type: String,
+    select: false,
+  },
+  password_reset_expires_at: {
+    type: Date,
+    select: false,
+  },
+  password_changed_at: {
+    type: Date, // tokens issued before this are rejected
+  },
   created_at: {
     type: Date,
     default: Date.now,
@@ -102,6 +138,13 @@ const UserSchema = new mongoose.Schema({
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
 });
 
+// Calendar feed lookup
+UserSchema.index({ calendar_token_hash: 1 }, { unique: true, sparse: true });
+
+// Account token lookups
+UserSchema.index({ email_verification_token_hash: 1 }, { unique: true, sparse: true });
+UserSchema.index({ password_reset_token_hash: 1 }, { unique: true, sparse: true });
+
 // Virtual for user's bookings
 UserSchema.virtual('bookings', {
   ref: 'Booking',
@@ -116,6 +159,9 @@ UserSchema.methods.toPublicJSON = function() {
     email: this.email,
     name: this.name,
     role: this.role,
+    is_active: this.is_active,
+    email_verified: this.email_verified,
+    email_notifications: this.email_notifications,
     created_at: this.created_at,
   };
 };
@@ -126,6 +172,30 @@ UserSchema.statics.findActive = function() {
 };
 
 // ---------------------- ROOM SCHEMA ----------------------
+// Seasonal price rule: applies to days from start through end (MM-DD, may wrap the new year)
+const SeasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Season name is required'],
+    trim: true,
+  },
+  start: {
+    type: String,
+    required: [true, 'Season start is required'],
+    match: [/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, 'Season start must be MM-DD'],
+  },
+  end: {
+    type: String,
+    required: [true, 'Season end is required'],
+    match: [/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, 'Season end must be MM-DD'],
+  },
+  multiplier: {
+    type: Number,
+    required: [true, 'Season multiplier is required'],
+    min: [0, 'Multiplier cannot be negative'],
+  },
+}, { _id: false });
+
 const RoomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -173,6 +243,59 @@ const RoomSchema = new mongoose.Schema({
     type: String,
     trim: true,
   }],
+  total_units: {
+    type: Number,
+    default: 1,
+    min: [1, 'Total units must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Total units must be an integer',
+    },
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone`,
+    },
+  },
+  booking_mode: {
+    type: String,
+    enum: ['day', 'slot'],
+    default: 'day',
+  },
+  slot_minutes: {
+    type: Number,
+    required: [function() { return this.booking_mode === 'slot'; }, 'Slot length is required for slot rooms'],
+    min: [5, 'Slot length must be at least 5 minutes'],
+    max: [1440, 'Slot length cannot exceed 1440 minutes'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Slot length must be an integer (minutes)',
+    },
+  },
+  opening_hours: {
+    open: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Opening time must be HH:MM'],
+    },
+    close: {
+      type: String,
+      match: [/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, 'Closing time must be HH:MM'],
+    },
+  },
+  // Per-room overrides of the pricing rules in config.pricing (unset = use the default)
+  pricing: {
+    weekend_multiplier: {
+      type: Number,
+      min: [0, 'Weekend multiplier cannot be negative'],
+    },
+    seasons: {
+      type: [SeasonSchema],
+      default: undefined,
+    },
+  },
   is_active: {
     type: Boolean,
     default: true,
@@ -197,6 +320,20 @@ RoomSchema.index({ location: 1, is_active: 1 });
 // Compound index for capacity-based searches
 RoomSchema.index({ capacity: 1, is_active: 1 });
 
+// Slot rooms need opening hours that fit at least one slot
+RoomSchema.pre('validate', function() {
+  if (this.booking_mode !== 'slot') return;
+    
+  const { open, close } = this.opening_hours || {};
+  if (!open || !close) {
+    this.invalidate('opening_hours', 'Opening hours are required for slot rooms');
+    return;
+  }
+  if (parseTimeOfDay(close) - parseTimeOfDay(open) < this.slot_minutes) {
+    this.invalidate('opening_hours', 'Opening hours must fit at least one slot');
+  }
+});
+
 // Virtual for room's availability records
 RoomSchema.virtual('availability', {
   ref: 'Availability',
@@ -222,10 +359,61 @@ RoomSchema.methods.toPublicJSON = function() {
     price_dollars: this.price_dollars,
     amenities: this.amenities,
     images: this.images,
+    total_units: this.total_units,
+    timezone: this.timezone,
+    booking_mode: this.booking_mode,
+    slot_minutes: this.slot_minutes,
+    opening_hours: this.booking_mode === 'slot' ? this.opening_hours : undefined,
+    pricing: this.pricing,
     is_active: this.is_active,
   };
 };
 
+// Instance method listing every slot start within opening hours for the days
+// from startDate through endDate (inclusive). Opening hours are wall-clock times
+// in the room's timezone; the returned slot starts are real instants. Slot rooms only.
+RoomSchema.methods.getSlotStarts = function(startDate, endDate) {
+  const timeZone = this.timezone || DEFAULT_TIMEZONE;
+  const open = parseTimeOfDay(this.opening_hours.open);
+  const close = parseTimeOfDay(this.opening_hours.close);
+  const slots = [];
+    
+  for (const day of getDateRange(startDate, endDate)) {
+    for (let minute = open; minute + this.slot_minutes <= close; minute += this.slot_minutes) {
+      slots.push(zonedTimeToUtc(day, minute, timeZone));
+    }
+  }
+    
+  return slots;
+};
+
+// Instance method to check that [start, end) is a whole number of slots inside
+// one day's opening hours (room-local). Returns an error message, or null if valid.
+RoomSchema.methods.validateSlotRange = function(start, end) {
+  const timeZone = this.timezone || DEFAULT_TIMEZONE;
+  if (end <= start) {
+    return 'End time must be after start time';
+  }
+  if (normalizeDate(start, timeZone).getTime() !== normalizeDate(new Date(end.getTime() - 1), timeZone).getTime()) {
+    return 'Slot bookings must start and end on the same day';
+  }
+    
+  const open = parseTimeOfDay(this.opening_hours.open);
+  const close = parseTimeOfDay(this.opening_hours.close);
+  const startParts = getZonedParts(start, timeZone);
+  const startMinute = startParts.hour * 60 + startParts.minute;
+  const endMinute = startMinute + (end - start) / (60 * 1000);
+    
+  if (startMinute < open || endMinute > close) {
+    return `Slot bookings must be within opening hours (${this.opening_hours.open}-${this.opening_hours.close})`;
+  }
+  if ((startMinute - open) % this.slot_minutes !== 0 || (endMinute - startMinute) % this.slot_minutes !== 0) {
+    return `Slot bookings must start and end on ${this.slot_minutes}-minute slot boundaries`;
+  }
+    
+  return null;
+};
+
 // Static method to find available rooms
 RoomSchema.statics.findActive = function() {
   return this.find({ is_active: true });
@@ -239,17 +427,26 @@ const AvailabilitySchema = new mongoose.Schema({
     required: [true, 'Room ID is required'],
     index: true,
   },
+  kind: {
+    type: String,
+    enum: ['day', 'slot'],
+    default: 'day',
+  },
   date: {
     type: Date,
     required: [true, 'Date is required'],
     index: true,
     validate: {
       validator: function(v) {
+        // Slot rows hold the slot start time, whole minutes only
+        if (this.kind === 'slot') {
+          return v.getUTCSeconds() === 0 && v.getUTCMilliseconds() === 0;
+        }
         // Store dates at midnight UTC
         return v.getUTCHours() === 0 && v.getUTCMinutes() === 0 && 
                        v.getUTCSeconds() === 0 && v.getUTCMilliseconds() === 0;
       },
-      message: 'Date must be normalized to midnight UTC',
+      message: 'Date must be normalized to midnight UTC (or a whole minute for slots)',
     },
   },
   total_units: {
@@ -330,7 +527,257 @@ AvailabilitySchema.statics.checkAvailability = async function(roomId, startDate,
   return { available: true };
 };
 
+// Static method to give units back for each day (e.g. on cancellation or modification)
+AvailabilitySchema.statics.releaseUnits = async function(roomId, days, quantity, { session = null } = {}) {
+  for (const date of days) {
+    let q = this.updateOne(
+      { room_id: roomId, date },
+      { $inc: { available_units: quantity } },
+    );
+    if (session) q = q.session(session);
+    await q;
+  }
+};
+
+// Static method to take units for each day. Returns the first date that could not be
+// satisfied, or null; on failure the caller must abort its transaction.
+AvailabilitySchema.statics.reserveUnits = async function(roomId, days, quantity, { session = null } = {}) {
+  for (const date of days) {
+    let q = this.updateOne(
+      { room_id: roomId, date, available_units: { $gte: quantity } },
+      { $inc: { available_units: -quantity } },
+    );
+    if (session) q = q.session(session);
+    const updated = await q;
+    if (updated.modifiedCount === 0) return date;
+  }
+  return null;
+};
+
+// Static method to reserve several ranges at once ({ roomId, days, quantity } each,
+// possibly in different rooms or sharing days). Returns the first line and date that
+// could not be satisfied, or null. Without a session there is no transaction to
+// abort, so on failure the units this call already took are given back.
+AvailabilitySchema.statics.reserveMany = async function(lines, { session = null } = {}) {
+  const taken = [];
+  for (const [index, line] of lines.entries()) {
+    const failedDate = await this.reserveUnits(line.roomId, line.days, line.quantity, { session });
+    if (failedDate) {
+      if (!session) {
+        const partial = line.days.slice(0, line.days.findIndex(d => d.getTime() === failedDate.getTime()));
+        for (const done of [...taken, { ...line, days: partial }]) {
+          await this.releaseUnits(done.roomId, done.days, done.quantity);
+        }
+      }
+      return { index, date: failedDate };
+    }
+    taken.push(line);
+  }
+  return null;
+};
+
+// Static method to change the unit count of a room's availability from a date onward.
+// Booked units (total - available) are preserved; returns the dates where the new
+// total would be below what is already booked and leaves every row untouched in that case.
+AvailabilitySchema.statics.adjustTotalUnits = async function(roomId, totalUnits, fromDate, { session = null } = {}) {
+  let conflictQ = this.find({
+    room_id: roomId,
+    date: { $gte: fromDate },
+    $expr: { $gt: [{ $subtract: ['$total_units', '$available_units'] }, totalUnits] },
+  }).sort({ date: 1 });
+  if (session) conflictQ = conflictQ.session(session);
+  const conflicts = await conflictQ;
+
+  if (conflicts.length > 0) {
+    return { updated: 0, conflicts: conflicts.map(r => r.date) };
+  }
+
+  let updateQ = this.updateMany(
+    { room_id: roomId, date: { $gte: fromDate } },
+    [{
+      $set: {
+        available_units: { $add: ['$available_units', { $subtract: [totalUnits, '$total_units'] }] },
+        total_units: totalUnits,
+      },
+    }],
+    { updatePipeline: true },
+  );
+  if (session) updateQ = updateQ.session(session);
+  const result = await updateQ;
+
+  return { updated: result.modifiedCount, conflicts: [] };
+};
+
+// ---------------------- DISCOUNT CODE SCHEMA ----------------------
+const DiscountCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Code cannot exceed 50 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  percent_off: {
+    type: Number,
+    min: [1, 'Percent off must be at least 1'],
+    max: [100, 'Percent off cannot exceed 100'],
+  },
+  amount_off_cents: {
+    type: Number,
+    min: [1, 'Amount off must be at least 1 cent'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount off must be an integer (cents)',
+    },
+  },
+  valid_from: {
+    type: Date,
+  },
+  valid_until: {
+    type: Date,
+  },
+  max_redemptions: {
+    type: Number,
+    default: null, // null = unlimited
+  },
+  redemption_count: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  room_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+  }], // empty = every room
+  is_active: {
+    type: Boolean,
+    default: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+// A code gives either a percentage or a fixed amount off, not both
+DiscountCodeSchema.pre('validate', function() {
+  if ((this.percent_off == null) === (this.amount_off_cents == null)) {
+    this.invalidate('percent_off', 'Exactly one of percent_off or amount_off_cents is required');
+  }
+});
+
+// Query matching a code that can be used for the room at the given time
+function usableDiscountQuery(code, roomId, at) {
+  return {
+    code: String(code).trim().toUpperCase(),
+    is_active: true,
+    $and: [
+      { $or: [{ valid_from: null }, { valid_from: { $lte: at } }] },
+      { $or: [{ valid_until: null }, { valid_until: { $gte: at } }] },
+      { $or: [{ room_ids: { $size: 0 } }, { room_ids: roomId }] },
+      { $or: [{ max_redemptions: null }, { $expr: { $lt: ['$redemption_count', '$max_redemptions'] } }] },
+    ],
+  };
+}
+
+// Static method to find a code usable for a room right now (null if unknown, expired or used up)
+DiscountCodeSchema.statics.findUsable = function(code, roomId, { session = null } = {}) {
+  const q = this.findOne(usableDiscountQuery(code, roomId, new Date()));
+  if (session) q.session(session);
+  return q;
+};
+
+// Static method to atomically count one use of a code. Returns the code, or null
+// if it is no longer usable (e.g. another booking took the last redemption).
+DiscountCodeSchema.statics.redeem = function(code, roomId, { session = null } = {}) {
+  const q = this.findOneAndUpdate(
+    usableDiscountQuery(code, roomId, new Date()),
+    { $inc: { redemption_count: 1 } },
+    { new: true },
+  );
+  if (session) q.session(session);
+  return q;
+};
+
+// Instance method to format discount code data
+DiscountCodeSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    code: this.code,
+    description: this.description,
+    percent_off: this.percent_off,
+    amount_off_cents: this.amount_off_cents,
+    valid_from: this.valid_from,
+    valid_until: this.valid_until,
+    max_redemptions: this.max_redemptions,
+    redemption_count: this.redemption_count,
+    room_ids: this.room_ids,
+    is_active: this.is_active,
+  };
+};
+
 // ---------------------- BOOKING SCHEMA ----------------------
+// Price snapshot taken when the booking is made; never recomputed from later rule changes
+const PriceLineSchema = new mongoose.Schema({
+  date: String, // night (YYYY-MM-DD) or slot start (room-local ISO time)
+  rate_cents: Number,
+  adjustments: [String], // e.g. ['season:Holidays', 'weekend']
+}, { _id: false });
+
+const PriceBreakdownSchema = new mongoose.Schema({
+  currency: String,
+  unit: {
+    type: String,
+    enum: ['night', 'slot'],
+  },
+  base_price_cents: Number,
+  units: Number,
+  quantity: Number,
+  lines: [PriceLineSchema],
+  subtotal_cents: Number,
+  discount: {
+    code: String,
+    percent_off: Number,
+    amount_off_cents: Number,
+  },
+  discount_cents: Number,
+  total_cents: Number,
+  computed_at: Date,
+}, { _id: false });
+
+// Payment state of a booking; provider references are kept for reconciliation and refunds
+const PaymentSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['not_required', 'processing', 'pending', 'succeeded', 'failed', 'refund_pending', 'refunded', 'refund_failed'],
+  },
+  provider: String,
+  provider_ref: String, // charge id at the provider
+  refund_ref: String, // refund id at the provider
+  amount_cents: Number,
+  currency: String,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  failure_reason: String,
+  paid_at: Date,
+  refunded_at: Date,
+}, { _id: false });
+
 const BookingSchema = new mongoose.Schema({
   user_id: {
     type: mongoose.Schema.Types.ObjectId,
@@ -364,12 +811,45 @@ const BookingSchema = new mongoose.Schema({
       message: 'Quantity must be an integer',
     },
   },
+  slot_minutes: {
+    type: Number,
+    default: null, // null for whole-day bookings
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE, // copied from the room when booked
+  },
+  price: {
+    type: PriceBreakdownSchema,
+    default: null,
+    immutable: true, // only replaced explicitly when the booking itself is modified
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'cancelled', 'completed'],
     default: 'confirmed',
     index: true,
   },
+  hold_expires_at: {
+    type: Date,
+    default: null, // set while a pending booking awaits confirmation or payment
+  },
+  payment: {
+    type: PaymentSchema,
+    default: null,
+  },
+  series_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries',
+    default: null, // set on the occurrences of a recurring booking
+    index: true,
+  },
+  group_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupBooking',
+    default: null, // set on the bookings of a multi-room group booking
+    index: true,
+  },
   cancellation_reason: {
     type: String,
     trim: true,
@@ -378,6 +858,11 @@ const BookingSchema = new mongoose.Schema({
   cancelled_at: {
     type: Date,
   },
+  cancelled_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null, // set when an admin cancels someone else's booking
+  },
   notes: {
     type: String,
     trim: true,
@@ -414,6 +899,9 @@ BookingSchema.index({ user_id: 1, created_at: -1 });
 BookingSchema.index({ room_id: 1, start_date: 1, end_date: 1 });
 BookingSchema.index({ start_date: 1, end_date: 1, status: 1 });
 BookingSchema.index({ status: 1, created_at: -1 });
+BookingSchema.index({ status: 1, hold_expires_at: 1 });
+BookingSchema.index({ 'payment.provider_ref': 1 }, { sparse: true });
+BookingSchema.index({ 'payment.refund_ref': 1 }, { sparse: true });
 
 // Validation to ensure end_date > start_date
 BookingSchema.pre('save', function() {
@@ -422,29 +910,48 @@ BookingSchema.pre('save', function() {
   }
 });
 
-// Virtual for number of nights
+// Virtual for number of nights (not meaningful for slot bookings)
 BookingSchema.virtual('nights').get(function() {
+  if (this.slot_minutes) return null;
   return Math.ceil((this.end_date - this.start_date) / (1000 * 60 * 60 * 24));
 });
 
-// Instance method to cancel booking
-BookingSchema.methods.cancel = async function(reason) {
+// Instance method listing the Availability dates (days or slot starts) this booking holds
+BookingSchema.methods.getAvailabilityDates = function() {
+  return getBookingDates(this.start_date, this.end_date, this.slot_minutes);
+};
+
+// Instance method to cancel booking and give its units back to Availability.
+// Pass the caller's session so the status change and the restore commit together.
+BookingSchema.methods.cancel = async function(reason, { session = null } = {}) {
   if (this.status === 'cancelled') {
     throw new Error('Booking is already cancelled');
   }
+  if (this.status === 'completed') {
+    throw new Error('Completed bookings cannot be cancelled');
+  }
     
   this.status = 'cancelled';
   this.cancellation_reason = reason;
   this.cancelled_at = new Date();
+  this.hold_expires_at = null;
     
-  await this.save();
+  await this.save(session ? { session } : undefined);
+    
+  // Restore availability for every day (or slot) the booking held
+  const roomId = this.room_id && this.room_id._id ? this.room_id._id : this.room_id;
+  await Availability.releaseUnits(roomId, this.getAvailabilityDates(), this.quantity, { session });
     
-  // Restore availability (should be done in a transaction in production)
   return this;
 };
 
-// Instance method to format booking data
+// Instance method to format booking data. start_date/end_date stay full ISO
+// instants; start_local/end_local give them in the room's terms: calendar dates
+// (YYYY-MM-DD) for day bookings, times with the room's UTC offset for slots.
 BookingSchema.methods.toPublicJSON = function() {
+  const timeZone = this.timezone || DEFAULT_TIMEZONE;
+  const formatBoundary = date => (this.slot_minutes ? formatInZone(date, timeZone) : formatDay(date));
+    
   return {
     id: this._id,
     user_id: this.user_id && this.user_id._id ? this.user_id._id : this.user_id,
@@ -452,9 +959,22 @@ BookingSchema.methods.toPublicJSON = function() {
     user_email: (this.user_id && this.user_id.email) ? this.user_id.email : (this.contact_email || null),
     start_date: this.start_date,
     end_date: this.end_date,
+    start_local: formatBoundary(this.start_date),
+    end_local: formatBoundary(this.end_date),
+    timezone: timeZone,
+    booking_mode: this.slot_minutes ? 'slot' : 'day',
+    slot_minutes: this.slot_minutes || undefined,
     quantity: this.quantity,
     nights: this.nights,
+    price: this.price || null,
     status: this.status,
+    hold_expires_at: this.hold_expires_at || undefined,
+    payment: this.payment || null,
+    series_id: this.series_id || undefined,
+    group_id: this.group_id || undefined,
+    cancellation_reason: this.cancellation_reason || undefined,
+    cancelled_at: this.cancelled_at || undefined,
+    cancelled_by: this.cancelled_by || undefined,
     notes: this.notes,
     contact_email: this.contact_email,
     created_at: this.created_at,
@@ -471,13 +991,26 @@ BookingSchema.statics.findActiveByUser = function(userId) {
     .sort({ start_date: 1 });
 };
 
-// Static method to find bookings by date range
+// Static method to find a user's bookings cancelled since a date (calendar feeds)
+BookingSchema.statics.findCancelledByUser = function(userId, since) {
+  return this.find({
+    user_id: userId,
+    status: 'cancelled',
+    cancelled_at: { $gte: since },
+  })
+    .populate('room_id', 'name location capacity')
+    .sort({ start_date: 1 });
+};
+
+// Static method to find bookings overlapping [startDate, endDate) (endDate exclusive)
 BookingSchema.statics.findByDateRange = function(startDate, endDate, status = null) {
+  // Day bookings hold their end day (UTC midnight) inclusively; slot bookings end exclusively
+  const firstDay = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()));
   const query = {
+    start_date: { $lt: endDate },
     $or: [
-      { start_date: { $gte: startDate, $lte: endDate } },
-      { end_date: { $gte: startDate, $lte: endDate } },
-      { start_date: { $lte: startDate }, end_date: { $gte: endDate } },
+      { slot_minutes: null, end_date: { $gte: firstDay } },
+      { slot_minutes: { $ne: null }, end_date: { $gt: startDate } },
     ],
   };
     
@@ -509,71 +1042,727 @@ BookingSchema.statics.checkOverlap = async function(roomId, startDate, endDate,
   return overlapping.length > 0;
 };
 
-// ---------------------- MODELS ----------------------
-const User = mongoose.model('User', UserSchema);
-const Room = mongoose.model('Room', RoomSchema);
-const Availability = mongoose.model('Availability', AvailabilitySchema);
-const Booking = mongoose.model('Booking', BookingSchema);
-
-// ---------------------- INDEX MANAGEMENT ----------------------
-async function ensureIndexes() {
-  try {
-    await User.createIndexes();
-    await Room.createIndexes();
-    await Availability.createIndexes();
-    await Booking.createIndexes();
-    console.log('Database indexes created successfully');
-  } catch (error) {
-    console.error('Error creating indexes:', error);
-  }
-}
+// ---------------------- BOOKING SERIES SCHEMA ----------------------
+// RRULE-style pattern (RFC 5545 FREQ, INTERVAL, BYDAY, COUNT, UNTIL)
+const RecurrenceSchema = new mongoose.Schema({
+  freq: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: [true, 'Recurrence frequency is required'],
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Interval must be at least 1'],
+  },
+  by_day: {
+    type: [String], // e.g. ['TU', 'TH']; monthly also takes ordinals such as '2TU' or '-1FR'
+    default: undefined,
+  },
+  count: Number,
+  until: Date,
+}, { _id: false });
 
-// ---------------------- UTILITY FUNCTIONS ----------------------
-/**
- * Initialize availability records for a room
- * @param {ObjectId} roomId - Room ID
- * @param {Number} totalUnits - Total units available per day
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
- */
-async function initializeAvailability(roomId, totalUnits, startDate, endDate) {
-  const availabilityRecords = [];
-  const currentDate = new Date(startDate);
-  currentDate.setUTCHours(0, 0, 0, 0);
-    
-  const finalDate = new Date(endDate);
-  finalDate.setUTCHours(0, 0, 0, 0);
-    
-  while (currentDate <= finalDate) {
-    availabilityRecords.push({
-      room_id: roomId,
-      date: new Date(currentDate),
-      total_units: totalUnits,
-      available_units: totalUnits,
-    });
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
-    
-  try {
-    await Availability.insertMany(availabilityRecords, { ordered: false });
-    console.log(`Initialized ${availabilityRecords.length} availability records for room ${roomId}`);
-  } catch (error) {
-    // Ignore duplicate key errors (11000)
-    if (error.code !== 11000) {
-      throw error;
-    }
-  }
-}
+const SeriesConflictSchema = new mongoose.Schema({
+  start_date: Date,
+  end_date: Date,
+  reason: String,
+}, { _id: false });
 
-/**
- * Normalize date to midnight UTC
- * @param {Date} date - Date to normalize
- * @returns {Date} Normalized date
- */
-function normalizeDate(date) {
-  const normalized = new Date(date);
-  normalized.setUTCHours(0, 0, 0, 0);
-  return normalized;
+// A recurring booking: its occurrences are ordinary bookings carrying series_id
+const BookingSeriesSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true,
+  },
+  room_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Room ID is required'],
+  },
+  recurrence: {
+    type: RecurrenceSchema,
+    required: [true, 'Recurrence is required'],
+  },
+  start_date: {
+    type: Date,
+    required: [true, 'Start date is required'], // first occurrence
+  },
+  end_date: {
+    type: Date,
+    required: [true, 'End date is required'],
+  },
+  slot_minutes: {
+    type: Number,
+    default: null,
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    max: [100, 'Quantity cannot exceed 100'],
+  },
+  policy: {
+    type: String,
+    enum: ['all_or_nothing', 'partial'],
+    default: 'all_or_nothing',
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active',
+  },
+  conflicts: {
+    type: [SeriesConflictSchema], // occurrences skipped under the partial policy
+    default: [],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+  },
+  contact_email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  cancellation_reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
+  },
+  cancelled_at: {
+    type: Date,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+BookingSeriesSchema.index({ user_id: 1, created_at: -1 });
+
+// Instance method to write the pattern as an RFC 5545 RRULE value
+BookingSeriesSchema.methods.toRRule = function() {
+  const { freq, interval, by_day, count, until } = this.recurrence;
+  const parts = [`FREQ=${freq.toUpperCase()}`];
+  if (interval && interval !== 1) parts.push(`INTERVAL=${interval}`);
+  if (by_day && by_day.length > 0) parts.push(`BYDAY=${by_day.join(',')}`);
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) parts.push(`UNTIL=${formatDay(until).replace(/-/g, '')}`);
+  return parts.join(';');
+};
+
+// Instance method to format series data (dates as Booking start_local/end_local)
+BookingSeriesSchema.methods.toPublicJSON = function() {
+  const timeZone = this.timezone || DEFAULT_TIMEZONE;
+  const formatBoundary = date => (this.slot_minutes ? formatInZone(date, timeZone) : formatDay(date));
+
+  return {
+    id: this._id,
+    room_id: this.room_id,
+    rrule: this.toRRule(),
+    recurrence: this.recurrence,
+    start_date: formatBoundary(this.start_date),
+    end_date: formatBoundary(this.end_date),
+    timezone: timeZone,
+    quantity: this.quantity,
+    policy: this.policy,
+    status: this.status,
+    conflicts: this.conflicts.map(c => ({
+      start_date: formatBoundary(c.start_date),
+      end_date: formatBoundary(c.end_date),
+      reason: c.reason,
+    })),
+    notes: this.notes,
+    cancellation_reason: this.cancellation_reason || undefined,
+    created_at: this.created_at,
+  };
+};
+
+// ---------------------- GROUP BOOKING SCHEMA ----------------------
+// Several rooms booked together, all or none: the bookings carry group_id
+const GroupBookingSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+  },
+  contact_email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  cancellation_reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
+  },
+  cancelled_at: {
+    type: Date,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+GroupBookingSchema.index({ user_id: 1, created_at: -1 });
+
+// Instance method to format group data
+GroupBookingSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    notes: this.notes,
+    contact_email: this.contact_email,
+    cancellation_reason: this.cancellation_reason || undefined,
+    cancelled_at: this.cancelled_at || undefined,
+    created_at: this.created_at,
+  };
+};
+
+// ---------------------- WAITLIST SCHEMA ----------------------
+// A request for a sold-out room and range, served first come first served when units free up
+const WaitlistEntrySchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true,
+  },
+  room_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Room ID is required'],
+  },
+  start_date: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+  end_date: {
+    type: Date,
+    required: [true, 'End date is required'],
+  },
+  slot_minutes: {
+    type: Number,
+    default: null, // null for whole-day ranges
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE, // copied from the room when joining
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    max: [100, 'Quantity cannot exceed 100'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be an integer',
+    },
+  },
+  auto_book: {
+    type: Boolean,
+    default: false, // false: units are held and offered; true: booked right away
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'declined', 'expired', 'cancelled'],
+    default: 'waiting',
+  },
+  offered_at: {
+    type: Date,
+  },
+  offer_expires_at: {
+    type: Date, // units are held for the entry until then
+  },
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+  },
+  contact_email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+// Queue order per room, and the expiry sweep
+WaitlistEntrySchema.index({ room_id: 1, status: 1, created_at: 1 });
+WaitlistEntrySchema.index({ status: 1, offer_expires_at: 1 });
+
+WaitlistEntrySchema.pre('save', function() {
+  if (this.end_date <= this.start_date) {
+    throw new Error('End date must be after start date');
+  }
+});
+
+// Instance method listing the Availability dates (days or slot starts) the entry asks for
+WaitlistEntrySchema.methods.getAvailabilityDates = function() {
+  return getBookingDates(this.start_date, this.end_date, this.slot_minutes);
+};
+
+// Instance method to format waitlist entry data (dates as Booking start_local/end_local)
+WaitlistEntrySchema.methods.toPublicJSON = function() {
+  const timeZone = this.timezone || DEFAULT_TIMEZONE;
+  const formatBoundary = date => (this.slot_minutes ? formatInZone(date, timeZone) : formatDay(date));
+
+  return {
+    id: this._id,
+    room_id: this.room_id,
+    start_date: formatBoundary(this.start_date),
+    end_date: formatBoundary(this.end_date),
+    timezone: timeZone,
+    quantity: this.quantity,
+    auto_book: this.auto_book,
+    status: this.status,
+    offered_at: this.offered_at,
+    offer_expires_at: this.offer_expires_at,
+    booking_id: this.booking_id,
+    notes: this.notes,
+    created_at: this.created_at,
+  };
+};
+
+// Static method to find a room's waiting entries, head of the queue first
+WaitlistEntrySchema.statics.findQueue = function(roomId) {
+  return this.find({ room_id: roomId, status: 'waiting' }).sort({ created_at: 1, _id: 1 });
+};
+
+// Static method to count the waiting entries of a room queued before an entry
+WaitlistEntrySchema.statics.getPosition = async function(entry) {
+  const ahead = await this.countDocuments({
+    room_id: entry.room_id,
+    status: 'waiting',
+    $or: [
+      { created_at: { $lt: entry.created_at } },
+      { created_at: entry.created_at, _id: { $lt: entry._id } },
+    ],
+  });
+  return ahead + 1;
+};
+
+// ---------------------- OUTBOX SCHEMA ----------------------
+// An email to send, written in the same transaction as the booking change it reports
+// and delivered afterwards by src/notifications
+const OutboxMessageSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: [
+      'booking.created', 'booking.cancelled', 'booking.modified',
+      'series.created', 'series.cancelled', 'series.modified',
+      'group.created', 'group.cancelled',
+      'account.verify_email', 'account.password_reset',
+    ],
+    required: [true, 'Event is required'],
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    index: true,
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed, // snapshot the template is rendered from
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'skipped'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now,
+  },
+  locked_until: {
+    type: Date,
+    default: null, // delivery lease while sending
+  },
+  last_error: {
+    type: String,
+  },
+  sent_at: {
+    type: Date,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+// Delivery queue
+OutboxMessageSchema.index({ status: 1, next_attempt_at: 1 });
+
+// ---------------------- AUDIT LOG SCHEMA ----------------------
+// Security events worth keeping after their Redis state expires: login lockouts
+// (see src/lockout) and who lifted them
+const AuditLogSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['login.locked', 'login.unlocked'],
+    required: [true, 'Event is required'],
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: [true, 'Scope is required'],
+  },
+  email: {
+    type: String, // account scope: the address tried, whether or not it has an account
+    trim: true,
+    lowercase: true,
+  },
+  ip: {
+    type: String, // ip scope: the locked address; account scope: the last failed attempt's
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // admin who unlocked; unset for automatic events
+  },
+  failures: {
+    type: Number,
+  },
+  locked_until: {
+    type: Date,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+});
+
+AuditLogSchema.index({ created_at: -1 });
+AuditLogSchema.index({ email: 1, created_at: -1 });
+AuditLogSchema.index({ ip: 1, created_at: -1 });
+
+// Instance method to format audit data
+AuditLogSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    event: this.event,
+    scope: this.scope,
+    email: this.email || undefined,
+    ip: this.ip || undefined,
+    user_id: this.user_id || undefined,
+    actor_id: this.actor_id || undefined,
+    failures: this.failures,
+    locked_until: this.locked_until || undefined,
+    reason: this.reason || undefined,
+    created_at: this.created_at,
+  };
+};
+
+// ---------------------- MODELS ----------------------
+const User = mongoose.model('User', UserSchema);
+const Room = mongoose.model('Room', RoomSchema);
+const Availability = mongoose.model('Availability', AvailabilitySchema);
+const Booking = mongoose.model('Booking', BookingSchema);
+const DiscountCode = mongoose.model('DiscountCode', DiscountCodeSchema);
+const BookingSeries = mongoose.model('BookingSeries', BookingSeriesSchema);
+const GroupBooking = mongoose.model('GroupBooking', GroupBookingSchema);
+const WaitlistEntry = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
+const OutboxMessage = mongoose.model('OutboxMessage', OutboxMessageSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+// ---------------------- INDEX MANAGEMENT ----------------------
+async function ensureIndexes() {
+  try {
+    await User.createIndexes();
+    await Room.createIndexes();
+    await Availability.createIndexes();
+    await Booking.createIndexes();
+    await DiscountCode.createIndexes();
+    await BookingSeries.createIndexes();
+    await GroupBooking.createIndexes();
+    await WaitlistEntry.createIndexes();
+    await OutboxMessage.createIndexes();
+    await AuditLog.createIndexes();
+    console.log('Database indexes created successfully');
+  } catch (error) {
+    console.error('Error creating indexes:', error);
+  }
+}
+
+// ---------------------- UTILITY FUNCTIONS ----------------------
+/**
+ * Initialize availability records for a room
+ * @param {ObjectId} roomId - Room ID
+ * @param {Number|null} totalUnits - Total units available per day (null to use Room.total_units)
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ */
+async function initializeAvailability(roomId, totalUnits, startDate, endDate) {
+  const room = await Room.findById(roomId).select('total_units booking_mode slot_minutes opening_hours');
+  if (!room) throw new Error(`Room ${roomId} not found`);
+  if (totalUnits == null) {
+    totalUnits = room.total_units;
+  }
+
+  const availabilityRecords = [];
+    
+  if (room.booking_mode === 'slot') {
+    // One record per slot within opening hours
+    for (const slotStart of room.getSlotStarts(startDate, endDate)) {
+      availabilityRecords.push({
+        room_id: roomId,
+        kind: 'slot',
+        date: slotStart,
+        total_units: totalUnits,
+        available_units: totalUnits,
+      });
+    }
+  } else {
+    const currentDate = new Date(startDate);
+    currentDate.setUTCHours(0, 0, 0, 0);
+        
+    const finalDate = new Date(endDate);
+    finalDate.setUTCHours(0, 0, 0, 0);
+        
+    while (currentDate <= finalDate) {
+      availabilityRecords.push({
+        room_id: roomId,
+        date: new Date(currentDate),
+        total_units: totalUnits,
+        available_units: totalUnits,
+      });
+      currentDate.setDate(currentDate.getDate() + 1);
+    }
+  }
+    
+  try {
+    await Availability.insertMany(availabilityRecords, { ordered: false });
+    console.log(`Initialized ${availabilityRecords.length} availability records for room ${roomId}`);
+  } catch (error) {
+    // Ignore duplicate key errors (11000)
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Normalize date to midnight UTC of its calendar day. With a timezone, the
+ * calendar day is the one seen in that zone (e.g. 23:30Z is the next day in
+ * Asia/Jerusalem). Day records are keyed by these UTC-midnight dates.
+ * @param {Date} date - Date to normalize
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {Date} Normalized date
+ */
+function normalizeDate(date, timeZone = 'UTC') {
+  if (timeZone !== 'UTC') {
+    const { year, month, day } = getZonedParts(new Date(date), timeZone);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  const normalized = new Date(date);
+  normalized.setUTCHours(0, 0, 0, 0);
+  return normalized;
+}
+
+/**
+ * Check whether a string is an IANA time zone known to this runtime
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get wall-clock components of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: Number, month: Number, day: Number, hour: Number, minute: Number, second: Number}}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+    
+  const values = {};
+  for (const { type, value } of parts) {
+    if (type !== 'literal') values[type] = Number(value);
+  }
+  return values;
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Number} Offset in minutes (positive east of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / (60 * 1000));
+}
+
+/**
+ * Convert a wall-clock time on a calendar day in a time zone to an instant
+ * @param {Date} day - Calendar day (UTC midnight, as from normalizeDate)
+ * @param {Number} minuteOfDay - Minutes since local midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(day, minuteOfDay, timeZone) {
+  const wallClock = day.getTime() + minuteOfDay * 60 * 1000;
+  let instant = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone) * 60 * 1000;
+  // Re-check once in case the guess crossed a DST change
+  instant = wallClock - getTimeZoneOffset(new Date(instant), timeZone) * 60 * 1000;
+  return new Date(instant);
+}
+
+/**
+ * Parse a request date into a calendar day (UTC midnight). Plain dates and
+ * date-times without an offset keep the calendar date as written; date-times
+ * with an offset are converted to the calendar day seen in timeZone.
+ * @param {string} value - YYYY-MM-DD or ISO date-time
+ * @param {string} [timeZone] - IANA time zone (defaults to the date as written)
+ * @returns {Date} Normalized date
+ */
+function parseDay(value, timeZone) {
+  const str = String(value);
+  if (!timeZone || !/([zZ]|[+-]\d{2}:?\d{2})$/.test(str) || !str.includes('T')) {
+    return new Date(`${str.slice(0, 10)}T00:00:00.000Z`);
+  }
+  return normalizeDate(new Date(str), timeZone);
+}
+
+/**
+ * Parse a request date-time into an instant. Values without an offset are
+ * wall-clock times in timeZone.
+ * @param {string} value - ISO date-time (or YYYY-MM-DD for local midnight)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function parseDateTime(value, timeZone) {
+  const str = String(value);
+  if (str.includes('T') && /([zZ]|[+-]\d{2}:?\d{2})$/.test(str)) {
+    return new Date(str);
+  }
+  const [, hh = '0', mm = '0', ss = '0'] = str.match(/T(\d{2}):(\d{2})(?::(\d{2}))?/) || [];
+  const instant = zonedTimeToUtc(parseDay(str), Number(hh) * 60 + Number(mm), timeZone);
+  return new Date(instant.getTime() + Number(ss) * 1000);
+}
+
+/**
+ * Format an instant as an ISO date-time with the zone's UTC offset
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. 2025-12-01T10:00:00+02:00
+ */
+function formatInZone(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Format a calendar day (UTC midnight) as YYYY-MM-DD
+ * @param {Date} day - Normalized date
+ * @returns {string}
+ */
+function formatDay(day) {
+  return day.toISOString().split('T')[0];
 }
 
 /**
@@ -595,6 +1784,46 @@ function getDateRange(startDate, endDate) {
   return dates;
 }
 
+/**
+ * Parse an "HH:MM" time of day
+ * @param {string} hhmm - Time of day
+ * @returns {Number} Minutes since midnight
+ */
+function parseTimeOfDay(hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get slot start times covering [startTime, endTime)
+ * @param {Date} startTime - First slot start
+ * @param {Date} endTime - End of the last slot (exclusive)
+ * @param {Number} slotMinutes - Slot length in minutes
+ * @returns {Date[]} Array of slot start times
+ */
+function getSlotRange(startTime, endTime, slotMinutes) {
+  const slots = [];
+  const step = slotMinutes * 60 * 1000;
+    
+  for (let t = new Date(startTime).getTime(); t < new Date(endTime).getTime(); t += step) {
+    slots.push(new Date(t));
+  }
+    
+  return slots;
+}
+
+/**
+ * Get the Availability dates a booking range occupies: whole days (inclusive)
+ * for day bookings, slot starts (end exclusive) for slot bookings
+ * @param {Date} startDate - Booking start
+ * @param {Date} endDate - Booking end
+ * @param {Number|null} slotMinutes - Slot length, or null for day bookings
+ * @returns {Date[]} Array of Availability dates
+ */
+function getBookingDates(startDate, endDate, slotMinutes) {
+  return slotMinutes ? getSlotRange(startDate, endDate, slotMinutes) : getDateRange(startDate, endDate);
+}
+
 // ---------------------- EXPORTS ----------------------
 module.exports = {
   mongoose,
@@ -602,9 +1831,22 @@ module.exports = {
   Room,
   Availability,
   Booking,
+  DiscountCode,
+  BookingSeries,
+  GroupBooking,
+  WaitlistEntry,
+  OutboxMessage,
+  AuditLog,
   ensureIndexes,
   initializeAvailability,
   normalizeDate,
   getDateRange,
+  getSlotRange,
+  getBookingDates,
+  isValidTimeZone,
+  parseDay,
+  parseDateTime,
+  formatInZone,
+  formatDay,
   serverInfo,
 };
@@ -9,7 +9,8 @@
 
 const bcrypt = require('bcryptjs');
 const config = require('../../config/config.json');
-const { mongoose, User, Room, Availability, Booking, initializeAvailability } = require('./index');
+const { mongoose, User, Room, Availability, Booking, DiscountCode, initializeAvailability } = require('./index');
+const pricing = require('../pricing');
 
 const MONGO_URL = process.env.MONGO_URL || config.database.mongodb.url;
 
@@ -110,6 +111,36 @@ const sampleRooms = [
     amenities: ['Whiteboard Walls', 'WiFi', 'Standing Desks', 'Creative Tools', 'Snacks'],
     images: ['https://example.com/room-e-1.jpg'],
     total_units: 1,
+    pricing: { weekend_multiplier: 1 }, // no weekend surcharge for this room
+  },
+  {
+    name: 'Huddle Room F',
+    description: 'Bookable by the hour for quick meetings and calls',
+    location: 'Building A, 2nd Floor',
+    floor: 2,
+    capacity: 4,
+    price_cents: 1000, // $10/hour
+    amenities: ['TV Screen', 'WiFi', 'Video Conference'],
+    images: ['https://example.com/room-f-1.jpg'],
+    total_units: 1,
+    booking_mode: 'slot',
+    slot_minutes: 60,
+    opening_hours: { open: '08:00', close: '18:00' },
+  },
+];
+
+// Sample discount codes
+const sampleDiscountCodes = [
+  {
+    code: 'WELCOME10',
+    description: '10% off any booking',
+    percent_off: 10,
+  },
+  {
+    code: 'TRAINING50',
+    description: '$50 off the training room (first 20 bookings)',
+    amount_off_cents: 5000,
+    max_redemptions: 20,
   },
 ];
 
@@ -122,6 +153,7 @@ async function clearDatabase() {
   await Room.deleteMany({});
   await Availability.deleteMany({});
   await Booking.deleteMany({});
+  await DiscountCode.deleteMany({});
   console.log('Database cleared successfully');
 }
 
@@ -140,6 +172,8 @@ async function seedUsers() {
       password_hash,
       name: userData.name,
       role: userData.role,
+      email_verified: true, // sample accounts can book with accounts.requireVerifiedEmail on
+      email_verified_at: new Date(),
     });
 
     users.push(user);
@@ -157,17 +191,29 @@ async function seedRooms() {
   const rooms = [];
 
   for (const roomData of sampleRooms) {
-    const { total_units, ...roomFields } = roomData;
-        
-    const room = await Room.create(roomFields);
+    const room = await Room.create(roomData);
         
-    rooms.push({ room, total_units });
-    console.log(`✓ Created room: ${room.name} (${total_units} units)`);
+    rooms.push(room);
+    console.log(`✓ Created room: ${room.name} (${room.total_units} units)`);
   }
 
   return rooms;
 }
 
+/**
+ * Seed discount codes
+ */
+async function seedDiscountCodes(rooms) {
+  console.log('\nSeeding discount codes...');
+
+  for (const codeData of sampleDiscountCodes) {
+    // TRAINING50 only applies to Large Training Room C
+    const roomIds = codeData.code === 'TRAINING50' ? [rooms[2]._id] : [];
+    const discountCode = await DiscountCode.create({ ...codeData, room_ids: roomIds });
+    console.log(`✓ Created discount code: ${discountCode.code}`);
+  }
+}
+
 /**
  * Seed availability for the next N days
  */
@@ -180,8 +226,8 @@ async function seedAvailability(rooms, days = 90) {
   const endDate = new Date(startDate);
   endDate.setDate(endDate.getDate() + days);
 
-  for (const { room, total_units } of rooms) {
-    await initializeAvailability(room._id, total_units, startDate, endDate);
+  for (const room of rooms) {
+    await initializeAvailability(room._id, room.total_units, startDate, endDate);
     console.log(`✓ Initialized availability for room: ${room.name}`);
   }
 }
@@ -209,7 +255,7 @@ async function seedBookings(users, rooms) {
   const sampleBookings = [
     {
       user_id: users[1]._id, // John Doe
-      room_id: rooms[0].room._id, // Executive Conference Room A
+      room_id: rooms[0]._id, // Executive Conference Room A
       start_date: tomorrow,
       end_date: dayAfter,
       quantity: 1,
@@ -218,7 +264,7 @@ async function seedBookings(users, rooms) {
     },
     {
       user_id: users[2]._id, // Jane Smith
-      room_id: rooms[1].room._id, // Small Meeting Room B1
+      room_id: rooms[1]._id, // Small Meeting Room B1
       start_date: nextWeek,
       end_date: endNextWeek,
       quantity: 1,
@@ -228,7 +274,16 @@ async function seedBookings(users, rooms) {
   ];
 
   for (const bookingData of sampleBookings) {
-    const booking = await Booking.create(bookingData);
+    const room = rooms.find(r => r._id.equals(bookingData.room_id));
+    const booking = await Booking.create({
+      ...bookingData,
+      price: pricing.quote(room, {
+        startDate: bookingData.start_date,
+        endDate: bookingData.end_date,
+        slotMinutes: null,
+        quantity: bookingData.quantity,
+      }),
+    });
         
     // Decrement availability
     const current = new Date(bookingData.start_date);
@@ -265,6 +320,7 @@ async function seed() {
     // Seed data
     const users = await seedUsers();
     const rooms = await seedRooms();
+    await seedDiscountCodes(rooms);
     await seedAvailability(rooms);
     await seedBookings(users, rooms);
 
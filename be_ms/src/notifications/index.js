@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const config = require('../../config/config.json');
+const { User, Room, OutboxMessage } = require('../mongodb');
+const templates = require('./templates');
+
+/* CONFIG */
+const TRANSPORT_NAME = process.env.MAIL_TRANSPORT || config.notifications.transport;
+const FROM = process.env.MAIL_FROM || config.notifications.from;
+const BATCH_SIZE = config.notifications.batchSize;
+const MAX_ATTEMPTS = config.notifications.maxAttempts;
+const RETRY_BASE_MS = config.notifications.retryBaseMs;
+const LEASE_MS = config.notifications.leaseMs;
+const ACCOUNT_DATA_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.ACCOUNT_LINK_SECRET || config.accounts.linkSecret)
+  .digest();
+
+// Account emails (verification, password reset) are sent even to users who opted
+// out of booking emails. Their data holds a live token link, so it is stored
+// encrypted and cleared once the message is sent or given up on.
+const ACCOUNT_EVENTS = new Set(['account.verify_email', 'account.password_reset']);
+
+// AES-256-GCM, so reading the outbox collection is not enough to use a link
+function seal(data) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ACCOUNT_DATA_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  return { sealed: [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64')).join('.') };
+}
+
+function unseal(data) {
+  const [iv, tag, ciphertext] = String(data && data.sealed).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ACCOUNT_DATA_KEY, iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Mail transport interface. Register implementations in `transports`; they are
+ * loaded on first use so the SMTP client is only required when selected.
+ * @typedef {Object} MailTransport
+ * @property {string} name
+ * @property {function({from: string, to: string, subject: string, text: string, messageId: string}): Promise<void>} send
+ *   Resolve once the message is accepted; reject to have it retried
+ */
+const transports = {
+  smtp: () => require('./transports/smtp'),
+  file: () => require('./transports/file'),
+  console: () => require('./transports/console'),
+};
+
+/**
+ * The configured transport (config.notifications.transport or MAIL_TRANSPORT)
+ * @returns {MailTransport}
+ */
+function getTransport() {
+  const load = transports[TRANSPORT_NAME];
+  if (!load) throw new Error(`Unknown mail transport: ${TRANSPORT_NAME}`);
+  return load();
+}
+
+// What the templates need from a booking, frozen at the time of the event
+function bookingSnapshot(booking, room) {
+  const json = booking.toPublicJSON();
+  return {
+    booking_id: String(booking._id),
+    room_id: String(room ? room._id : booking.room_id),
+    room_name: room ? room.name : null,
+    start_date: json.start_local,
+    end_date: json.end_local,
+    timezone: json.timezone,
+    booking_mode: json.booking_mode,
+    quantity: booking.quantity,
+    status: booking.status,
+    total_cents: booking.price ? booking.price.total_cents : null,
+    currency: booking.price ? booking.price.currency : null,
+    cancellation_reason: booking.cancellation_reason || null,
+  };
+}
+
+/**
+ * Queue an email about a booking change. Call inside the transaction that makes
+ * the change so the email is sent if and only if it commits. Bookings without a
+ * contact email are skipped.
+ * @param {string} event - 'booking.created', 'booking.cancelled' or 'booking.modified'
+ * @param {Object} booking - Booking document, as saved
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Caller's transaction
+ * @param {Object} [options.room] - Room document, if already loaded
+ * @param {Object} [options.previous] - { start_date, end_date, quantity } before a modification (formatted)
+ * @returns {Promise<Object|null>} The OutboxMessage document
+ */
+async function notifyBooking(event, booking, { session = null, room = null, previous = null } = {}) {
+  if (!booking.contact_email) return null;
+
+  if (!room) {
+    const roomId = booking.room_id && booking.room_id._id ? booking.room_id._id : booking.room_id;
+    const roomFindQ = Room.findById(roomId).select('name');
+    if (session) roomFindQ.session(session);
+    room = await roomFindQ;
+  }
+
+  const data = bookingSnapshot(booking, room);
+  if (previous) data.previous = previous;
+
+  const userId = booking.user_id && booking.user_id._id ? booking.user_id._id : booking.user_id;
+  const [message] = await OutboxMessage.create(
+    [{ event, user_id: userId, booking_id: booking._id, to: booking.contact_email, data }],
+    session ? { session } : undefined,
+  );
+  return message;
+}
+
+/**
+ * Queue one email for a change to a recurring booking, listing the occurrences
+ * it affected, instead of one per occurrence. Call inside the change's transaction.
+ * @param {string} event - 'series.created', 'series.cancelled' or 'series.modified'
+ * @param {Object} series - BookingSeries document, as saved
+ * @param {Object[]} bookings - Occurrences affected (Booking documents)
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Caller's transaction
+ * @param {Object} [options.room] - Room document, if already loaded
+ * @returns {Promise<Object|null>} The OutboxMessage document
+ */
+async function notifySeries(event, series, bookings, { session = null, room = null } = {}) {
+  if (!series.contact_email) return null;
+
+  if (!room) {
+    const roomFindQ = Room.findById(series.room_id).select('name');
+    if (session) roomFindQ.session(session);
+    room = await roomFindQ;
+  }
+
+  const json = series.toPublicJSON();
+  const data = {
+    series_id: String(series._id),
+    room_id: String(series.room_id),
+    room_name: room ? room.name : null,
+    rrule: json.rrule,
+    quantity: series.quantity,
+    conflicts: json.conflicts,
+    cancellation_reason: series.cancellation_reason || null,
+    occurrences: bookings.map(b => bookingSnapshot(b, room)),
+  };
+
+  const [message] = await OutboxMessage.create(
+    [{ event, user_id: series.user_id, to: series.contact_email, data }],
+    session ? { session } : undefined,
+  );
+  return message;
+}
+
+/**
+ * Queue one email for a change to a group booking, listing its bookings, instead
+ * of one per room. Call inside the change's transaction.
+ * @param {string} event - 'group.created' or 'group.cancelled'
+ * @param {Object} group - GroupBooking document, as saved
+ * @param {Object[]} bookings - Bookings affected (Booking documents)
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Caller's transaction
+ * @param {Map<string, Object>} [options.rooms] - Room documents by ID, if already loaded
+ * @returns {Promise<Object|null>} The OutboxMessage document
+ */
+async function notifyGroup(event, group, bookings, { session = null, rooms = null } = {}) {
+  if (!group.contact_email) return null;
+
+  if (!rooms) {
+    const roomFindQ = Room.find({ _id: { $in: bookings.map(b => b.room_id) } }).select('name');
+    if (session) roomFindQ.session(session);
+    rooms = new Map((await roomFindQ).map(room => [String(room._id), room]));
+  }
+
+  const data = {
+    group_id: String(group._id),
+    cancellation_reason: group.cancellation_reason || null,
+    bookings: bookings.map(b => bookingSnapshot(b, rooms.get(String(b.room_id)))),
+  };
+
+  const [message] = await OutboxMessage.create(
+    [{ event, user_id: group.user_id, to: group.contact_email, data }],
+    session ? { session } : undefined,
+  );
+  return message;
+}
+
+/**
+ * Queue an account email (verification or password reset) to the user's address.
+ * The data is stored encrypted with accounts.linkSecret (ACCOUNT_LINK_SECRET).
+ * @param {string} event - 'account.verify_email' or 'account.password_reset'
+ * @param {Object} user - User document
+ * @param {Object} data - Template data, e.g. { name, url, expires_hours }
+ * @returns {Promise<Object>} The OutboxMessage document
+ */
+async function notifyAccount(event, user, data) {
+  return OutboxMessage.create({ event, user_id: user._id, to: user.email, data: seal(data) });
+}
+
+// Take the next due message, or one whose sender's lease ran out (crashed mid-send)
+function claimNext() {
+  const now = new Date();
+  return OutboxMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', next_attempt_at: { $lte: now } },
+        { status: 'sending', locked_until: { $lte: now } },
+      ],
+    },
+    {
+      $set: { status: 'sending', locked_until: new Date(now.getTime() + LEASE_MS) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { next_attempt_at: 1 }, new: true },
+  );
+}
+
+// Record the outcome only if the lease is still ours
+function finish(message, update) {
+  return OutboxMessage.updateOne(
+    { _id: message._id, status: 'sending', attempts: message.attempts },
+    { $set: { locked_until: null, ...update } },
+  );
+}
+
+async function deliver(message) {
+  const user = await User.findById(message.user_id).select('email_notifications');
+  if (user && user.email_notifications === false && !ACCOUNT_EVENTS.has(message.event)) {
+    await finish(message, { status: 'skipped', last_error: 'User opted out' });
+    return 'skipped';
+  }
+
+  const isAccount = ACCOUNT_EVENTS.has(message.event);
+  try {
+    const data = isAccount ? unseal(message.data) : message.data;
+    const { subject, text } = templates.render(message.event, data);
+    await getTransport().send({
+      from: FROM,
+      to: message.to,
+      subject,
+      text,
+      messageId: `<${message._id}@room-booking>`,
+    });
+  } catch (err) {
+    const error = err && err.message ? err.message : String(err);
+    if (message.attempts >= MAX_ATTEMPTS) {
+      const failed = { status: 'failed', last_error: error };
+      if (isAccount) failed.data = null;
+      await finish(message, failed);
+      console.error(`[notifications] giving up on ${message._id} after ${message.attempts} attempt(s):`, error);
+      return 'failed';
+    }
+
+    // Exponential backoff: retryBaseMs, then 2x, 4x, ...
+    const delay = RETRY_BASE_MS * 2 ** (message.attempts - 1);
+    await finish(message, { status: 'pending', last_error: error, next_attempt_at: new Date(Date.now() + delay) });
+    return 'retry';
+  }
+
+  const sent = { status: 'sent', sent_at: new Date(), last_error: null };
+  if (isAccount) sent.data = null;
+  await finish(message, sent);
+  return 'sent';
+}
+
+/**
+ * Send due outbox messages, up to config.notifications.batchSize. Each message is
+ * claimed atomically with a lease, so several workers can run at once; a message
+ * whose sender dies is retried once the lease expires. Delivery is at least once.
+ * @returns {Promise<{sent: number, retry: number, failed: number, skipped: number}>}
+ */
+async function deliverPending() {
+  const counts = { sent: 0, retry: 0, failed: 0, skipped: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const message = await claimNext();
+    if (!message) break;
+    counts[await deliver(message)] += 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  getTransport,
+  notifyBooking,
+  notifySeries,
+  notifyGroup,
+  notifyAccount,
+  deliverPending,
+};
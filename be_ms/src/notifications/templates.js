@@ -0,0 +1,167 @@
+// Email templates by outbox event. Each renders a message's `data` snapshot
+// (see notifyBooking, notifySeries, notifyGroup and notifyAccount in ./index.js) into { subject, text }.
+
+function formatMoney(cents, currency) {
+  if (cents == null) return null;
+  return `${(cents / 100).toFixed(2)} ${currency || ''}`.trim();
+}
+
+// "2025-06-01 to 2025-06-03" for day bookings; slot bookings also name the timezone
+function formatRange({ start_date, end_date, booking_mode, timezone }) {
+  const range = `${start_date} to ${end_date}`;
+  return booking_mode === 'slot' ? `${range} (${timezone})` : range;
+}
+
+function bookingLines(data) {
+  const lines = [
+    `Room: ${data.room_name || data.room_id}`,
+    `When: ${formatRange(data)}`,
+    `Quantity: ${data.quantity}`,
+  ];
+  const total = formatMoney(data.total_cents, data.currency);
+  if (total) lines.push(`Total: ${total}`);
+  lines.push(`Reference: ${data.booking_id}`);
+  return lines;
+}
+
+// One line per occurrence of a series
+function occurrenceLines(data) {
+  return (data.occurrences || []).map(o => `- ${formatRange(o)}${o.status === 'cancelled' ? ' (cancelled)' : ''}`);
+}
+
+// One block per booking of a group
+function groupBookingLines(data) {
+  return (data.bookings || []).flatMap(b => ['', ...bookingLines(b)]);
+}
+
+function signOff(lines) {
+  return [...lines, '', 'You can turn off booking emails in your notification settings.', ''].join('\n');
+}
+
+const templates = {
+  'booking.created': data => {
+    const lines = ['Hello,', '', 'We have received your booking.', '', ...bookingLines(data)];
+    if (data.status === 'pending') {
+      lines.push('', 'The booking is confirmed once payment is complete.');
+    }
+    return { subject: `Booking received: ${data.room_name || 'your room'}`, text: signOff(lines) };
+  },
+
+  'booking.modified': data => {
+    const lines = ['Hello,', '', 'Your booking has been changed. The new details are:', '', ...bookingLines(data)];
+    if (data.previous) {
+      lines.push('', `Previously: ${formatRange({ ...data, ...data.previous })}, quantity ${data.previous.quantity}`);
+    }
+    return { subject: `Booking updated: ${data.room_name || 'your room'}`, text: signOff(lines) };
+  },
+
+  'series.created': data => {
+    const lines = [
+      'Hello,',
+      '',
+      `We have received your recurring booking for ${data.room_name || data.room_id} (${data.rrule}), quantity ${data.quantity}:`,
+      '',
+      ...occurrenceLines(data),
+    ];
+    if (data.conflicts && data.conflicts.length > 0) {
+      lines.push('', 'These dates could not be booked:', ...data.conflicts.map(c => `- ${c.start_date} to ${c.end_date}: ${c.reason}`));
+    }
+    lines.push('', `Reference: ${data.series_id}`);
+    return { subject: `Recurring booking received: ${data.room_name || 'your room'}`, text: signOff(lines) };
+  },
+
+  'series.modified': data => {
+    const lines = [
+      'Hello,',
+      '',
+      `Your recurring booking for ${data.room_name || data.room_id} has been changed (quantity ${data.quantity}). Updated occurrences:`,
+      '',
+      ...occurrenceLines(data),
+      '',
+      `Reference: ${data.series_id}`,
+    ];
+    return { subject: `Recurring booking updated: ${data.room_name || 'your room'}`, text: signOff(lines) };
+  },
+
+  'series.cancelled': data => {
+    const lines = [
+      'Hello,',
+      '',
+      `Your recurring booking for ${data.room_name || data.room_id} has been cancelled. Cancelled occurrences:`,
+      '',
+      ...occurrenceLines(data),
+    ];
+    if (data.cancellation_reason) lines.push('', `Reason: ${data.cancellation_reason}`);
+    lines.push('', `Reference: ${data.series_id}`);
+    return { subject: `Recurring booking cancelled: ${data.room_name || 'your room'}`, text: signOff(lines) };
+  },
+
+  'group.created': data => {
+    const lines = ['Hello,', '', 'We have received your group booking:', ...groupBookingLines(data)];
+    if ((data.bookings || []).some(b => b.status === 'pending')) {
+      lines.push('', 'Each booking is confirmed once its payment is complete.');
+    }
+    lines.push('', `Group reference: ${data.group_id}`);
+    return { subject: 'Group booking received', text: signOff(lines) };
+  },
+
+  'group.cancelled': data => {
+    const lines = ['Hello,', '', 'Your group booking has been cancelled. Cancelled bookings:', ...groupBookingLines(data)];
+    if (data.cancellation_reason) lines.push('', `Reason: ${data.cancellation_reason}`);
+    lines.push('', `Group reference: ${data.group_id}`);
+    return { subject: 'Group booking cancelled', text: signOff(lines) };
+  },
+
+  'account.verify_email': data => {
+    const lines = [
+      `Hello${data.name ? ` ${data.name}` : ''},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      '',
+      data.url,
+      '',
+      `The link works once and expires in ${data.expires_hours} hours.`,
+      'If you did not create an account, you can ignore this email.',
+      '',
+    ];
+    return { subject: 'Confirm your email address', text: lines.join('\n') };
+  },
+
+  'account.password_reset': data => {
+    const lines = [
+      `Hello${data.name ? ` ${data.name}` : ''},`,
+      '',
+      'We received a request to reset your password. Choose a new one here:',
+      '',
+      data.url,
+      '',
+      `The link works once and expires in ${data.expires_minutes} minutes.`,
+      'If you did not ask for this, you can ignore this email; your password is unchanged.',
+      '',
+    ];
+    return { subject: 'Reset your password', text: lines.join('\n') };
+  },
+
+  'booking.cancelled': data => {
+    const lines = ['Hello,', '', 'Your booking has been cancelled.', '', ...bookingLines(data)];
+    if (data.cancellation_reason) lines.push(`Reason: ${data.cancellation_reason}`);
+    return { subject: `Booking cancelled: ${data.room_name || 'your room'}`, text: signOff(lines) };
+  },
+};
+
+/**
+ * Render an outbox message
+ * @param {string} event - Outbox event, e.g. 'booking.created'
+ * @param {Object} data - The message's data snapshot
+ * @returns {{subject: string, text: string}}
+ * @throws {Error} If there is no template for the event
+ */
+function render(event, data) {
+  const template = templates[event];
+  if (!template) throw new Error(`No email template for ${event}`);
+  return template(data || {});
+}
+
+module.exports = {
+  render,
+};
@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../../config/config.json');
+
+/* CONFIG */
+const DIR = path.resolve(process.env.MAIL_FILE_DIR || config.notifications.fileDir);
+
+/**
+ * Write a message to its own .eml file in config.notifications.fileDir (for development)
+ * @param {Object} message - { from, to, subject, text, messageId }
+ * @returns {Promise<void>}
+ */
+async function send({ from, to, subject, text, messageId }) {
+  await fs.mkdir(DIR, { recursive: true });
+
+  const file = path.join(DIR, `${Date.now()}-${messageId.replace(/[^\w.-]/g, '')}.eml`);
+  const raw = [
+    `Message-ID: ${messageId}`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+  ].join('\r\n');
+  await fs.writeFile(file, raw, 'utf8');
+}
+
+module.exports = {
+  name: 'file',
+  send,
+};
@@ -0,0 +1,38 @@
+const nodemailer = require('nodemailer');
+const config = require('../../../config/config.json');
+
+/* CONFIG */
+const SMTP = config.notifications.smtp;
+const HOST = process.env.SMTP_HOST || SMTP.host;
+const PORT = parseInt(process.env.SMTP_PORT || SMTP.port, 10);
+const SECURE = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === '1' : SMTP.secure;
+const USER = process.env.SMTP_USER || SMTP.user;
+const PASS = process.env.SMTP_PASS || SMTP.pass;
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: HOST,
+      port: PORT,
+      secure: SECURE, // true for 465; otherwise STARTTLS is used when offered
+      auth: USER ? { user: USER, pass: PASS } : undefined,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Send a message through the configured SMTP server
+ * @param {Object} message - { from, to, subject, text, messageId }
+ * @returns {Promise<void>}
+ */
+async function send({ from, to, subject, text, messageId }) {
+  await getTransporter().sendMail({ from, to, subject, text, messageId });
+}
+
+module.exports = {
+  name: 'smtp',
+  send,
+};
@@ -0,0 +1,279 @@
+const config = require('../../config/config.json');
+const { redis } = require('../redis');
+const { Booking } = require('../mongodb');
+
+/* CONFIG */
+const PROVIDER_NAME = process.env.PAYMENT_PROVIDER || config.payments.provider;
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || config.payments.webhookSecret;
+const WEBHOOK_TOLERANCE_SECONDS = config.payments.webhookToleranceSeconds;
+const PAYMENT_WINDOW_MINUTES = config.payments.paymentWindowMinutes;
+
+// Webhook event ids already handled (providers retry deliveries)
+const EVENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Payment provider interface. Register implementations in `providers`.
+ * @typedef {Object} PaymentProvider
+ * @property {string} name
+ * @property {function({amount_cents: number, currency: string, payment_method: string, booking_id: string, idempotency_key: string}): Promise<{status: 'succeeded'|'pending'|'failed', provider_ref: string, failure_reason?: string}>} charge
+ * @property {function({provider_ref: string, amount_cents: number, currency: string, idempotency_key: string}): Promise<{status: 'succeeded'|'pending'|'failed', refund_ref: string, failure_reason?: string}>} refund
+ * @property {function(Buffer, Object, {secret: string, toleranceSeconds: number}): {id: string, type: string, provider_ref?: string, refund_ref?: string, failure_reason?: string}} parseWebhook
+ *   Verify a callback's signature (throwing an error named 'WebhookSignatureError') and
+ *   return it as a charge.succeeded / charge.failed / refund.succeeded / refund.failed event
+ */
+const providers = {
+  fake: require('./providers/fake'),
+};
+
+/**
+ * The configured provider (config.payments.provider or PAYMENT_PROVIDER)
+ * @returns {PaymentProvider}
+ */
+function getProvider() {
+  const provider = providers[PROVIDER_NAME];
+  if (!provider) throw new Error(`Unknown payment provider: ${PROVIDER_NAME}`);
+  return provider;
+}
+
+/**
+ * When a booking waiting for payment is released if it is not paid
+ * @returns {Date}
+ */
+function paymentDeadline() {
+  return new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000);
+}
+
+/**
+ * Record the outcome of a charge. A successful charge confirms the booking; a
+ * failed one leaves it pending so the client can retry until it expires. Money
+ * taken for a booking that was released meanwhile is refunded.
+ * @param {ObjectId} bookingId - Booking ID
+ * @param {Object} result - { status, provider_ref, failure_reason } from the provider or a webhook
+ * @returns {Promise<Object|null>} The updated Booking document
+ */
+async function settleCharge(bookingId, { status, provider_ref, failure_reason }) {
+  const inFlight = { _id: bookingId, 'payment.status': { $in: ['processing', 'pending'] } };
+
+  if (status === 'succeeded') {
+    const confirmed = await Booking.findOneAndUpdate(
+      { ...inFlight, status: 'pending' },
+      {
+        $set: {
+          status: 'confirmed',
+          hold_expires_at: null,
+          'payment.status': 'succeeded',
+          'payment.provider_ref': provider_ref,
+          'payment.paid_at': new Date(),
+          'payment.failure_reason': null,
+        },
+      },
+      { new: true },
+    );
+    if (confirmed) return confirmed;
+
+    // The hold expired or was cancelled while the charge was in flight
+    const released = await Booking.findOneAndUpdate(
+      { ...inFlight, status: 'cancelled' },
+      { $set: { 'payment.status': 'succeeded', 'payment.provider_ref': provider_ref, 'payment.paid_at': new Date() } },
+      { new: true },
+    );
+    if (released) return refundBooking(released);
+    return Booking.findById(bookingId);
+  }
+
+  const update = status === 'pending'
+    ? { 'payment.status': 'pending', 'payment.provider_ref': provider_ref }
+    : { 'payment.status': 'failed', 'payment.provider_ref': provider_ref, 'payment.failure_reason': failure_reason || 'Payment failed' };
+  const updated = await Booking.findOneAndUpdate(inFlight, { $set: update }, { new: true });
+  return updated || Booking.findById(bookingId);
+}
+
+/**
+ * Charge a pending booking's price and confirm it on success. Only one charge
+ * runs per booking at a time; bookings with nothing to pay are confirmed directly.
+ * Call outside the room lock: availability is not touched.
+ * @param {ObjectId} bookingId - Booking ID
+ * @param {Object} [options]
+ * @param {string} [options.paymentMethod] - Provider payment method token
+ * @returns {Promise<Object|null>} The updated Booking document, or null if it is not
+ *   pending or a charge is already in progress
+ */
+async function chargeBooking(bookingId, { paymentMethod = null } = {}) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) return null;
+
+  const amount = booking.price ? booking.price.total_cents : 0;
+  const currency = booking.price ? booking.price.currency : config.pricing.currency;
+  const chargeable = { _id: booking._id, status: 'pending', $or: [{ payment: null }, { 'payment.status': 'failed' }] };
+
+  if (amount === 0) {
+    return Booking.findOneAndUpdate(
+      chargeable,
+      { $set: { status: 'confirmed', hold_expires_at: null, payment: { status: 'not_required', amount_cents: 0, currency } } },
+      { new: true },
+    );
+  }
+
+  const provider = getProvider();
+  const attempts = booking.payment ? booking.payment.attempts + 1 : 1;
+  const claimed = await Booking.findOneAndUpdate(
+    chargeable,
+    {
+      $set: {
+        payment: {
+          ...(booking.payment ? booking.payment.toObject() : {}),
+          status: 'processing',
+          provider: provider.name,
+          amount_cents: amount,
+          currency,
+          attempts,
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!claimed) return null;
+
+  let result;
+  try {
+    result = await provider.charge({
+      amount_cents: amount,
+      currency,
+      payment_method: paymentMethod,
+      booking_id: String(booking._id),
+      idempotency_key: `charge:${booking._id}:${attempts}`,
+    });
+  } catch (err) {
+    console.error('[payments] charge failed:', err && err.message ? err.message : err);
+    result = { status: 'failed', failure_reason: 'Payment provider unavailable' };
+  }
+
+  return settleCharge(booking._id, result);
+}
+
+/**
+ * Refund a paid booking in full (e.g. after cancellation). Bookings that were
+ * not paid are returned unchanged.
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} The updated Booking document
+ */
+async function refundBooking(booking) {
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'payment.status': 'succeeded' },
+    { $set: { 'payment.status': 'refund_pending' } },
+    { new: true },
+  );
+  if (!claimed) return booking;
+
+  const { payment } = claimed;
+  let result;
+  try {
+    result = await providers[payment.provider].refund({
+      provider_ref: payment.provider_ref,
+      amount_cents: payment.amount_cents,
+      currency: payment.currency,
+      idempotency_key: `refund:${booking._id}`,
+    });
+  } catch (err) {
+    console.error('[payments] refund failed:', err && err.message ? err.message : err);
+    result = { status: 'failed', failure_reason: 'Payment provider unavailable' };
+  }
+
+  return settleRefund(booking._id, result);
+}
+
+// Record the outcome of a refund
+async function settleRefund(bookingId, { status, refund_ref, failure_reason }) {
+  const update = { 'payment.refund_ref': refund_ref };
+  if (status === 'succeeded') {
+    update['payment.status'] = 'refunded';
+    update['payment.refunded_at'] = new Date();
+  } else if (status === 'failed') {
+    update['payment.status'] = 'refund_failed';
+    update['payment.failure_reason'] = failure_reason || 'Refund failed';
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: bookingId, 'payment.status': 'refund_pending' },
+    { $set: update },
+    { new: true },
+  );
+  return updated || Booking.findById(bookingId);
+}
+
+/**
+ * Verify a provider callback and return its event
+ * @param {Buffer} rawBody - Exact request body
+ * @param {Object} headers - Request headers
+ * @returns {Object} Event
+ * @throws {Error} name 'WebhookSignatureError' if the signature is invalid
+ */
+function constructWebhookEvent(rawBody, headers) {
+  return getProvider().parseWebhook(rawBody, headers, {
+    secret: WEBHOOK_SECRET,
+    toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS,
+  });
+}
+
+/**
+ * Apply a verified webhook event to its booking. Repeated deliveries are ignored.
+ * @param {Object} event - From constructWebhookEvent
+ * @returns {Promise<{handled: boolean, booking_id?: ObjectId}>}
+ */
+async function handleWebhookEvent(event) {
+  const eventKey = event.id ? `payments:event:${event.id}` : null;
+  if (eventKey) {
+    const first = await redis.set(eventKey, '1', 'EX', EVENT_TTL_SECONDS, 'NX');
+    if (!first) return { handled: false };
+  }
+
+  try {
+    return await applyWebhookEvent(event);
+  } catch (err) {
+    // Let the provider's retry apply it
+    if (eventKey) await redis.del(eventKey);
+    throw err;
+  }
+}
+
+async function applyWebhookEvent(event) {
+  let booking = null;
+  switch (event.type) {
+  case 'charge.succeeded':
+  case 'charge.failed':
+    booking = await Booking.findOne({ 'payment.provider_ref': event.provider_ref }).select('_id');
+    if (booking) {
+      await settleCharge(booking._id, {
+        status: event.type === 'charge.succeeded' ? 'succeeded' : 'failed',
+        provider_ref: event.provider_ref,
+        failure_reason: event.failure_reason,
+      });
+    }
+    break;
+  case 'refund.succeeded':
+  case 'refund.failed':
+    booking = await Booking.findOne({ 'payment.refund_ref': event.refund_ref }).select('_id');
+    if (booking) {
+      await settleRefund(booking._id, {
+        status: event.type === 'refund.succeeded' ? 'succeeded' : 'failed',
+        refund_ref: event.refund_ref,
+        failure_reason: event.failure_reason,
+      });
+    }
+    break;
+  default:
+    break;
+  }
+
+  return booking ? { handled: true, booking_id: booking._id } : { handled: false };
+}
+
+module.exports = {
+  getProvider,
+  paymentDeadline,
+  chargeBooking,
+  settleCharge,
+  refundBooking,
+  constructWebhookEvent,
+  handleWebhookEvent,
+};
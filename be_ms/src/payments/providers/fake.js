@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Payment methods with special behaviour; any other value (or none) is charged successfully
+const DECLINED_METHOD = 'pm_card_declined';
+const ASYNC_METHOD = 'pm_card_async'; // stays pending until a webhook settles it
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+// Results by idempotency key, so a retried call does not charge or refund twice.
+// Only recent keys are kept (retries follow within seconds), so a long-running dev
+// server does not grow without bound.
+const MAX_REMEMBERED = 1000;
+const results = new Map();
+
+function remember(key, compute) {
+  if (key && results.has(key)) return results.get(key);
+  const result = compute();
+  if (key) {
+    results.set(key, result);
+    // Maps iterate in insertion order: drop the oldest
+    if (results.size > MAX_REMEMBERED) results.delete(results.keys().next().value);
+  }
+  return result;
+}
+
+/**
+ * Charge a payment method
+ * @param {Object} params - See the provider interface in ../index.js
+ * @returns {Promise<Object>} { status, provider_ref, failure_reason }
+ */
+async function charge({ payment_method, idempotency_key }) {
+  return remember(idempotency_key, () => {
+    const provider_ref = `fake_ch_${uuidv4()}`;
+    if (payment_method === DECLINED_METHOD) {
+      return { status: 'failed', provider_ref, failure_reason: 'Card declined' };
+    }
+    if (payment_method === ASYNC_METHOD) {
+      return { status: 'pending', provider_ref };
+    }
+    return { status: 'succeeded', provider_ref };
+  });
+}
+
+/**
+ * Refund a charge in full
+ * @param {Object} params - See the provider interface in ../index.js
+ * @returns {Promise<Object>} { status, refund_ref }
+ */
+async function refund({ idempotency_key }) {
+  return remember(idempotency_key, () => ({ status: 'succeeded', refund_ref: `fake_re_${uuidv4()}` }));
+}
+
+function computeSignature(timestamp, rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * Signature header for a webhook body: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`
+ * @param {string|Buffer} rawBody - Exact request body
+ * @param {string} secret - Shared webhook secret
+ * @param {number} [timestamp] - Unix seconds (default now)
+ * @returns {string}
+ */
+function signWebhook(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(timestamp, rawBody, secret)}`;
+}
+
+/**
+ * Verify a webhook request and return its event
+ * @param {Buffer} rawBody - Exact request body
+ * @param {Object} headers - Request headers
+ * @param {Object} options
+ * @param {string} options.secret - Shared webhook secret
+ * @param {number} options.toleranceSeconds - Maximum age of the signature
+ * @returns {Object} { id, type, provider_ref, refund_ref, failure_reason }
+ * @throws {Error} name 'WebhookSignatureError' if the signature is missing, wrong or too old
+ */
+function parseWebhook(rawBody, headers, { secret, toleranceSeconds }) {
+  const invalid = message => {
+    const err = new Error(message);
+    err.name = 'WebhookSignatureError';
+    return err;
+  };
+
+  const header = headers[SIGNATURE_HEADER];
+  if (!header || !rawBody) throw invalid('Missing webhook signature');
+
+  const parts = Object.fromEntries(String(header).split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) throw invalid('Malformed webhook signature');
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) throw invalid('Webhook signature expired');
+
+  const expected = Buffer.from(computeSignature(timestamp, rawBody, secret), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw invalid('Invalid webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString('utf8'));
+  return {
+    id: event.id,
+    type: event.type,
+    provider_ref: event.data && event.data.provider_ref,
+    refund_ref: event.data && event.data.refund_ref,
+    failure_reason: event.data && event.data.failure_reason,
+  };
+}
+
+module.exports = {
+  name: 'fake',
+  charge,
+  refund,
+  parseWebhook,
+  signWebhook,
+  DECLINED_METHOD,
+  ASYNC_METHOD,
+};
@@ -0,0 +1,131 @@
+const config = require('../../config/config.json');
+const { normalizeDate, getBookingDates, formatDay, formatInZone } = require('../mongodb');
+
+/* CONFIG */
+const CURRENCY = config.pricing.currency;
+
+/**
+ * Pricing rules for a room: config.pricing, with any per-room overrides applied
+ * @param {Object} room - Room document
+ * @returns {{weekendDays: number[], weekendMultiplier: number, seasons: Object[]}}
+ */
+function getPricingRules(room) {
+  const overrides = room.pricing || {};
+  return {
+    weekendDays: config.pricing.weekendDays,
+    weekendMultiplier: overrides.weekend_multiplier != null
+      ? overrides.weekend_multiplier
+      : config.pricing.weekendMultiplier,
+    seasons: overrides.seasons != null ? overrides.seasons : config.pricing.seasons,
+  };
+}
+
+// True if the MM-DD key falls in the season (seasons may wrap the new year, e.g. 12-20..01-05)
+function inSeason(monthDay, season) {
+  if (season.start <= season.end) {
+    return monthDay >= season.start && monthDay <= season.end;
+  }
+  return monthDay >= season.start || monthDay <= season.end;
+}
+
+/**
+ * Price one night (or slot) on the given local calendar day. The first matching
+ * season applies, and the weekend multiplier is applied on top of it.
+ * @param {number} basePriceCents - Room base price
+ * @param {Date} day - Local calendar day (UTC midnight, as from normalizeDate)
+ * @param {Object} rules - From getPricingRules
+ * @returns {{rate_cents: number, adjustments: string[]}}
+ */
+function priceDay(basePriceCents, day, rules) {
+  const monthDay = formatDay(day).slice(5);
+  const adjustments = [];
+  let multiplier = 1;
+
+  const season = rules.seasons.find(s => inSeason(monthDay, s));
+  if (season) {
+    multiplier *= season.multiplier;
+    adjustments.push(`season:${season.name}`);
+  }
+  if (rules.weekendDays.includes(day.getUTCDay())) {
+    multiplier *= rules.weekendMultiplier;
+    adjustments.push('weekend');
+  }
+
+  return { rate_cents: Math.round(basePriceCents * multiplier), adjustments };
+}
+
+/**
+ * Discount terms to snapshot on a booking from a DiscountCode document
+ * @param {Object} discountCode - DiscountCode document
+ * @returns {{code: string, percent_off: number|undefined, amount_off_cents: number|undefined}}
+ */
+function discountTerms(discountCode) {
+  return {
+    code: discountCode.code,
+    percent_off: discountCode.percent_off != null ? discountCode.percent_off : undefined,
+    amount_off_cents: discountCode.amount_off_cents != null ? discountCode.amount_off_cents : undefined,
+  };
+}
+
+/**
+ * Compute the price breakdown for booking a room: base price × nights (or slots)
+ * × quantity, with seasonal and weekend rules per night and an optional discount.
+ * Day bookings are charged per night, from start_date up to (not including) end_date.
+ * @param {Object} room - Room document
+ * @param {Object} params
+ * @param {Date} params.startDate - Booking start
+ * @param {Date} params.endDate - Booking end
+ * @param {number|null} params.slotMinutes - Slot length for slot bookings, null for day bookings
+ * @param {number} params.quantity - Units booked
+ * @param {Object|null} [params.discount] - Terms from discountTerms()
+ * @returns {Object} Breakdown as stored on Booking.price
+ */
+function quote(room, { startDate, endDate, slotMinutes, quantity, discount = null }) {
+  const rules = getPricingRules(room);
+  const timeZone = room.timezone;
+
+  let units;
+  if (slotMinutes) {
+    units = getBookingDates(startDate, endDate, slotMinutes);
+  } else {
+    // getBookingDates holds the end day too; the last night starts the day before it
+    units = getBookingDates(startDate, endDate, null).slice(0, -1);
+  }
+
+  const lines = units.map(date => {
+    const day = slotMinutes ? normalizeDate(date, timeZone) : date;
+    return {
+      date: slotMinutes ? formatInZone(date, timeZone) : formatDay(date),
+      ...priceDay(room.price_cents, day, rules),
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.rate_cents, 0) * quantity;
+
+  let discountCents = 0;
+  if (discount) {
+    discountCents = discount.percent_off != null
+      ? Math.round(subtotal * discount.percent_off / 100)
+      : Math.min(discount.amount_off_cents, subtotal);
+  }
+
+  return {
+    currency: CURRENCY,
+    unit: slotMinutes ? 'slot' : 'night',
+    base_price_cents: room.price_cents,
+    units: lines.length,
+    quantity,
+    lines,
+    subtotal_cents: subtotal,
+    discount: discount || undefined,
+    discount_cents: discountCents,
+    total_cents: subtotal - discountCents,
+    computed_at: new Date(),
+  };
+}
+
+module.exports = {
+  getPricingRules,
+  discountTerms,
+  quote,
+};
@@ -0,0 +1,240 @@
+const config = require('../../config/config.json');
+const { redis } = require('../redis');
+const { Room, Availability, normalizeDate, formatDay, formatInZone } = require('../mongodb');
+
+/* CONFIG */
+const CHANNEL = config.realtime.channel;
+const HEARTBEAT_MS = config.realtime.heartbeatMs;
+
+// Connected SSE clients on this replica:
+// { res, roomIds: Set<string>|null, start: Date|null, end: Date|null, authorize: function|null }
+const clients = new Set();
+let subscriber = null;
+let heartbeat = null;
+let ready = null;
+
+// ---------------------- PUBLISHING ----------------------
+
+// Room document for a room or an id
+async function resolveRoom(room) {
+  if (room && room.booking_mode !== undefined) return room;
+  return Room.findById(room).select('timezone booking_mode').lean();
+}
+
+function toChange(record, timeZone) {
+  return {
+    date: record.kind === 'slot' ? formatInZone(record.date, timeZone) : formatDay(record.date),
+    date_utc: record.date.toISOString(),
+    total_units: record.total_units,
+    available_units: record.available_units,
+  };
+}
+
+async function publish(message) {
+  try {
+    await redis.publish(CHANNEL, JSON.stringify({ ...message, at: new Date().toISOString() }));
+  } catch (err) {
+    console.error('[realtime] publish failed:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Publish the current availability of a room's changed days (or slots) to every
+ * replica. Call after the change is committed; failures are logged, not thrown.
+ * @param {Object|ObjectId} room - Room document or id
+ * @param {Date[]} dates - Availability dates that changed
+ */
+async function publishAvailabilityChange(room, dates) {
+  try {
+    const roomDoc = await resolveRoom(room);
+    if (!roomDoc) return;
+    const records = await Availability.find({ room_id: roomDoc._id, date: { $in: dates } }).sort({ date: 1 }).lean();
+    if (records.length === 0) return;
+
+    await publish({
+      type: 'availability',
+      room_id: String(roomDoc._id),
+      changes: records.map(r => toChange(r, roomDoc.timezone)),
+    });
+  } catch (err) {
+    console.error('[realtime] publish failed:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Publish a room's availability from a date onward, for changes that touch
+ * every future day (new rooms, unit count changes)
+ * @param {Object|ObjectId} room - Room document or id
+ * @param {Date} fromDate - First changed day
+ */
+async function publishRoomAvailability(room, fromDate) {
+  try {
+    const roomDoc = await resolveRoom(room);
+    if (!roomDoc) return;
+    const records = await Availability.find({ room_id: roomDoc._id, date: { $gte: fromDate } }).sort({ date: 1 }).lean();
+
+    await publish({
+      type: 'availability',
+      room_id: String(roomDoc._id),
+      changes: records.map(r => toChange(r, roomDoc.timezone)),
+    });
+  } catch (err) {
+    console.error('[realtime] publish failed:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Publish a room status event (e.g. 'deactivated'); clients should stop offering the room
+ * @param {Object|ObjectId} room - Room document or id
+ * @param {string} status - Event name
+ */
+async function publishRoomStatus(room, status) {
+  await publish({ type: 'room', room_id: String(room._id || room), status });
+}
+
+// ---------------------- SUBSCRIBING ----------------------
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// The part of a message a client subscribed to, or null if none of it
+function filterMessage(client, message) {
+  if (client.roomIds && !client.roomIds.has(message.room_id)) return null;
+  if (message.type !== 'availability' || (!client.start && !client.end)) return message;
+
+  const changes = message.changes.filter(change => {
+    const day = normalizeDate(new Date(change.date_utc));
+    return (!client.start || day >= client.start) && (!client.end || day <= client.end);
+  });
+  return changes.length > 0 ? { ...message, changes } : null;
+}
+
+function dispatch(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (e) {
+    return;
+  }
+
+  for (const client of clients) {
+    const data = filterMessage(client, message);
+    if (data) send(client.res, data.type, data);
+  }
+}
+
+// One Redis subscriber connection per replica, opened with the first client
+function start() {
+  if (!ready) {
+    ready = (async () => {
+      subscriber = redis.duplicate();
+      subscriber.on('message', (channel, raw) => {
+        if (channel === CHANNEL) dispatch(raw);
+      });
+      await subscriber.subscribe(CHANNEL);
+
+      // Comment lines keep proxies from closing idle streams; each beat also
+      // closes streams whose subscriber is no longer allowed to listen
+      heartbeat = setInterval(() => {
+        for (const client of clients) {
+          client.res.write(': keep-alive\n\n');
+          recheck(client);
+        }
+      }, HEARTBEAT_MS);
+      heartbeat.unref();
+    })().catch(err => {
+      // Let the next client retry
+      if (subscriber) subscriber.disconnect();
+      subscriber = null;
+      ready = null;
+      throw err;
+    });
+  }
+  return ready;
+}
+
+function close(client, reason) {
+  // Already gone if the client disconnected while the check ran
+  if (!clients.delete(client)) return;
+  send(client.res, 'closed', { reason });
+  client.res.end();
+}
+
+// Errors (e.g. Redis briefly down) keep the stream; only a definite no closes it
+async function recheck(client) {
+  if (!client.authorize) return;
+  try {
+    if (!(await client.authorize())) close(client, 'unauthorized');
+  } catch (err) {
+    console.error('[realtime] stream authorization check failed:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Stop fanning out events and close all streams on this replica
+ */
+async function stop() {
+  for (const client of clients) client.res.end();
+  clients.clear();
+  if (heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+  if (subscriber) {
+    const sub = subscriber;
+    subscriber = null;
+    ready = null;
+    await sub.quit();
+  }
+}
+
+/**
+ * Turn a response into an SSE stream of availability events
+ * @param {Object} req - Express request (closing it unsubscribes)
+ * @param {Object} res - Express response
+ * @param {Object} filter
+ * @param {string[]} [filter.roomIds] - Only these rooms (all rooms if empty)
+ * @param {Date} [filter.start] - First day of interest
+ * @param {Date} [filter.end] - Last day of interest (inclusive)
+ * @param {function(): Promise<boolean>} [filter.authorize] - Checked every heartbeat;
+ *   false ends the stream with a `closed` event
+ */
+async function subscribe(req, res, { roomIds = [], start: startDay = null, end: endDay = null, authorize = null } = {}) {
+  await start();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const client = {
+    res,
+    roomIds: roomIds.length > 0 ? new Set(roomIds.map(String)) : null,
+    start: startDay,
+    end: endDay,
+    authorize,
+  };
+  clients.add(client);
+
+  send(res, 'ready', {
+    room_ids: roomIds,
+    start: startDay ? formatDay(startDay) : null,
+    end: endDay ? formatDay(endDay) : null,
+  });
+
+  req.on('close', () => {
+    clients.delete(client);
+  });
+}
+
+module.exports = {
+  publishAvailabilityChange,
+  publishRoomAvailability,
+  publishRoomStatus,
+  subscribe,
+  stop,
+};
@@ -70,6 +70,39 @@ async function releaseLock(lockKey, token) {
   }
 }
 
+/**
+ * Acquire several locks at once, all or none. Keys are taken in sorted order so
+ * that requests needing overlapping sets of locks always contend on the same key
+ * first instead of each holding part of the other's set.
+ * @param {string[]} lockKeys - Lock keys (duplicates are ignored)
+ * @param {string} token - Unique token for these locks
+ * @param {number} timeout - Lock timeout in milliseconds
+ * @returns {Promise<boolean>} True if every lock was acquired; on false none is held
+ */
+async function acquireLocks(lockKeys, token, timeout) {
+  const keys = [...new Set(lockKeys)].sort();
+  const held = [];
+  for (const key of keys) {
+    if (!(await acquireLock(key, token, timeout))) {
+      await releaseLocks(held, token);
+      return false;
+    }
+    held.push(key);
+  }
+  return true;
+}
+
+/**
+ * Release locks taken with acquireLocks
+ * @param {string[]} lockKeys - Lock keys
+ * @param {string} token - Token that was used to acquire the locks
+ */
+async function releaseLocks(lockKeys, token) {
+  for (const key of [...new Set(lockKeys)].sort().reverse()) {
+    await releaseLock(key, token);
+  }
+}
+
 /**
  * Get a value from Redis
  * @param {string} key - Key to get
@@ -107,6 +140,8 @@ module.exports = {
   setIdempotencyKey,
   acquireLock,
   releaseLock,
+  acquireLocks,
+  releaseLocks,
   get,
   set,
   del,
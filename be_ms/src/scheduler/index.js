@@ -0,0 +1,161 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config.json');
+const { acquireLock, releaseLock } = require('../redis');
+const { ensureAvailability, cleanup } = require('../mongodb/dbUtils');
+const searchCache = require('../cache');
+const waitlist = require('../waitlist');
+const holds = require('../holds');
+const notifications = require('../notifications');
+
+/* CONFIG */
+const ENABLED = process.env.SCHEDULER_ENABLED
+  ? process.env.SCHEDULER_ENABLED !== '0'
+  : config.scheduler.enabled;
+const CHECK_INTERVAL_MS = config.scheduler.checkIntervalMs;
+const INITIAL_DELAY_MS = config.scheduler.initialDelayMs;
+const LOCK_TTL_MS = config.scheduler.lockTtlMs;
+const SWEEP_INTERVAL_MS = config.scheduler.sweepIntervalMs;
+const OUTBOX_INTERVAL_MS = config.notifications.pollIntervalMs;
+
+let timer = null;
+let sweepTimer = null;
+let outboxTimer = null;
+let running = false;
+let sweeping = false;
+let delivering = false;
+
+/**
+ * Daily maintenance: extend availability for every active room to the
+ * configured horizon, drop old availability records and clear cached searches.
+ *
+ * The Redis lock is keyed by UTC day and kept after a successful run, so
+ * across all replicas the work happens at most once per day. On failure the
+ * lock is released so the next check (on any replica) retries.
+ * @returns {Promise<boolean>} True if this process ran the maintenance
+ */
+async function runDailyMaintenance() {
+  if (running) return false;
+
+  const day = new Date().toISOString().split('T')[0];
+  const lockKey = `lock:scheduler:maintenance:${day}`;
+  const token = uuidv4();
+
+  const lock = await acquireLock(lockKey, token, LOCK_TTL_MS);
+  if (!lock) return false;
+
+  running = true;
+  try {
+    console.log(`[scheduler] running daily maintenance for ${day}`);
+    const extended = await ensureAvailability(config.availability.horizonDays);
+    const cleaned = await cleanup(false);
+    if (!extended || !cleaned) throw new Error('maintenance step failed');
+
+    // New horizon days change search results for every room
+    await searchCache.invalidateAll();
+
+    console.log(`[scheduler] daily maintenance for ${day} completed`);
+    return true;
+  } catch (err) {
+    console.error('[scheduler] daily maintenance failed:', err && err.message ? err.message : err);
+    await releaseLock(lockKey, token);
+    return false;
+  } finally {
+    running = false;
+  }
+}
+
+async function tick() {
+  try {
+    await runDailyMaintenance();
+  } catch (err) {
+    // Redis unavailable etc. - try again on the next tick
+    console.error('[scheduler] tick failed:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Frequent housekeeping: release booking holds that were not confirmed in time
+ * and expire waitlist offers whose hold window has passed.
+ * Each room is handled under its own lock, so replicas can sweep concurrently.
+ * @returns {Promise<void>}
+ */
+async function runSweep() {
+  if (sweeping) return;
+
+  sweeping = true;
+  try {
+    const released = await holds.expireHolds();
+    if (released > 0) console.log(`[scheduler] released ${released} expired booking hold(s)`);
+
+    const expired = await waitlist.expireOffers();
+    if (expired > 0) console.log(`[scheduler] expired ${expired} waitlist offer(s)`);
+  } catch (err) {
+    console.error('[scheduler] sweep failed:', err && err.message ? err.message : err);
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Deliver queued booking emails (see src/notifications). Messages are claimed one
+ * at a time, so replicas can deliver concurrently.
+ * @returns {Promise<void>}
+ */
+async function runOutbox() {
+  if (delivering) return;
+
+  delivering = true;
+  try {
+    const { sent, failed } = await notifications.deliverPending();
+    if (sent > 0) console.log(`[scheduler] sent ${sent} email(s)`);
+    if (failed > 0) console.log(`[scheduler] gave up on ${failed} email(s)`);
+  } catch (err) {
+    console.error('[scheduler] outbox delivery failed:', err && err.message ? err.message : err);
+  } finally {
+    delivering = false;
+  }
+}
+
+/**
+ * Start the in-process scheduler (no-op if disabled or already started)
+ */
+function start() {
+  if (!ENABLED || timer) return;
+
+  console.log(`[scheduler] started (check every ${CHECK_INTERVAL_MS}ms, sweep every ${SWEEP_INTERVAL_MS}ms, outbox every ${OUTBOX_INTERVAL_MS}ms)`);
+
+  // Don't keep the process alive just for the scheduler
+  setTimeout(tick, INITIAL_DELAY_MS).unref();
+  timer = setInterval(tick, CHECK_INTERVAL_MS);
+  timer.unref();
+  sweepTimer = setInterval(runSweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  outboxTimer = setInterval(runOutbox, OUTBOX_INTERVAL_MS);
+  outboxTimer.unref();
+}
+
+/**
+ * Stop the scheduler
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+  if (outboxTimer) {
+    clearInterval(outboxTimer);
+    outboxTimer = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  runDailyMaintenance,
+  runSweep,
+  runOutbox,
+};
@@ -0,0 +1,173 @@
+const config = require('../../config/config.json');
+const {
+  Availability, normalizeDate, getBookingDates, parseDay, parseDateTime, formatInZone, formatDay,
+} = require('../mongodb');
+
+/* CONFIG */
+const MAX_OCCURRENCES = config.series.maxOccurrences;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Stop expanding open-ended patterns that never match (e.g. BYDAY=5MO every 12 months)
+const MAX_PERIODS = 1000;
+
+// "TU" -> { ordinal: null, weekday: 2 }; "-1FR" -> { ordinal: -1, weekday: 5 }
+function parseByDay(value) {
+  const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(value);
+  if (!match) return null;
+  return { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: WEEKDAYS.indexOf(match[2]) };
+}
+
+function addDays(day, days) {
+  return new Date(day.getTime() + days * DAY_MS);
+}
+
+// Days of a month (UTC midnight) falling on a weekday, or only its nth (negative: from the end)
+function monthWeekdays(year, month, { ordinal, weekday }) {
+  const days = [];
+  for (let d = new Date(Date.UTC(year, month, 1)); d.getUTCMonth() === month; d = addDays(d, 1)) {
+    if (d.getUTCDay() === weekday) days.push(d);
+  }
+  if (ordinal == null) return days;
+  const day = ordinal > 0 ? days[ordinal - 1] : days[days.length + ordinal];
+  return day ? [day] : [];
+}
+
+// Candidate days of one period of the pattern, in order. Days are room-local
+// calendar days as UTC midnight, like Booking.start_date for day bookings.
+function periodDays(recurrence, firstDay, byDay, period) {
+  const interval = recurrence.interval || 1;
+
+  if (recurrence.freq === 'daily') {
+    return [addDays(firstDay, period * interval)];
+  }
+
+  if (recurrence.freq === 'weekly') {
+    // Weeks start on Monday; BYDAY picks days within each week of the pattern
+    const monday = addDays(firstDay, -((firstDay.getUTCDay() + 6) % 7) + period * interval * 7);
+    return byDay
+      .map(({ weekday }) => addDays(monday, (weekday + 6) % 7))
+      .sort((a, b) => a - b);
+  }
+
+  // monthly: the same day of the month (months without it are skipped), or BYDAY within the month
+  const monthIndex = firstDay.getUTCMonth() + period * interval;
+  const year = firstDay.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  if (!byDay) {
+    const day = new Date(Date.UTC(year, month, firstDay.getUTCDate()));
+    return day.getUTCMonth() === month ? [day] : [];
+  }
+  return byDay
+    .flatMap(entry => monthWeekdays(year, month, entry))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Expand a recurrence into the ranges of its occurrences. The first range is
+ * the pattern's anchor (DTSTART); each occurrence keeps its length and, for slot
+ * bookings, its room-local start time (so it follows daylight saving changes).
+ * @param {Object} recurrence - { freq: 'daily'|'weekly'|'monthly', interval, by_day, count, until }
+ * @param {Object} first - { startDate, endDate, slotMinutes } of the first occurrence (as resolveBookingRange returns)
+ * @param {string} timeZone - Room timezone
+ * @returns {{occurrences?: Array<{startDate: Date, endDate: Date}>, error?: string}}
+ */
+function expandOccurrences(recurrence, { startDate, endDate, slotMinutes }, timeZone) {
+  const { count = null, until = null } = recurrence;
+  if ((count == null) === (until == null)) {
+    return { error: 'Recurrence needs exactly one of count or until' };
+  }
+
+  let byDay = null;
+  if (recurrence.by_day && recurrence.by_day.length > 0) {
+    byDay = recurrence.by_day.map(parseByDay);
+    if (byDay.some(entry => !entry)) return { error: 'by_day entries must look like TU or 2TU' };
+    if (recurrence.freq !== 'monthly' && byDay.some(entry => entry.ordinal != null)) {
+      return { error: 'Ordinal by_day entries (e.g. 2TU) are only allowed for monthly recurrences' };
+    }
+  }
+
+  const firstDay = slotMinutes ? normalizeDate(startDate, timeZone) : startDate;
+  if (recurrence.freq === 'weekly' && !byDay) byDay = [{ ordinal: null, weekday: firstDay.getUTCDay() }];
+
+  const lastDay = until ? parseDay(until, timeZone) : null;
+  if (lastDay && lastDay < firstDay) return { error: 'until must not be before start_date' };
+
+  const duration = endDate - startDate;
+  const localTime = slotMinutes ? formatInZone(startDate, timeZone).slice(11, 19) : null;
+
+  const occurrences = [];
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const day of periodDays(recurrence, firstDay, byDay, period)) {
+      if (day < firstDay) continue;
+      if (lastDay && day > lastDay) return { occurrences };
+
+      const start = slotMinutes ? parseDateTime(`${formatDay(day)}T${localTime}`, timeZone) : day;
+      occurrences.push({ startDate: start, endDate: new Date(start.getTime() + duration) });
+
+      if (occurrences.length > MAX_OCCURRENCES) {
+        return { error: `A series cannot have more than ${MAX_OCCURRENCES} occurrences` };
+      }
+      if (count != null && occurrences.length === count) return { occurrences };
+    }
+  }
+  return occurrences.length > 0 ? { occurrences } : { error: 'Recurrence has no occurrences' };
+}
+
+/**
+ * Find the occurrences that cannot be booked: outside a slot room's opening
+ * hours, or with a day (or slot) that has fewer than `quantity` units left.
+ * Occurrences may share a day (a day booking holds its end day, which can be the
+ * next occurrence's start day), so demand is added up per date: occurrences are
+ * taken in order and each one that fits claims its units before the next is
+ * checked. Units the occurrences already hold (`held`, when changing existing
+ * bookings that are all released and reserved again) count as available.
+ * @param {Object} room - Room document
+ * @param {Array<{startDate: Date, endDate: Date, held?: number}>} occurrences
+ * @param {number} quantity - Units each occurrence needs
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Caller's transaction
+ * @returns {Promise<Array<{index: number, reason: string, dates: Date[]}>>} One entry per conflicting occurrence
+ */
+async function findConflicts(room, occurrences, quantity, { session = null } = {}) {
+  const slotMinutes = room.booking_mode === 'slot' ? room.slot_minutes : null;
+  const daysByOccurrence = occurrences.map(o => getBookingDates(o.startDate, o.endDate, slotMinutes));
+
+  const availFindQ = Availability.find({ room_id: room._id, date: { $in: daysByOccurrence.flat() } });
+  if (session) availFindQ.session(session);
+  const records = await availFindQ;
+  // Units left per date for the occurrences still to be checked
+  const left = new Map(records.map(r => [r.date.getTime(), r.available_units]));
+  occurrences.forEach((occurrence, index) => {
+    if (!occurrence.held) return;
+    for (const date of daysByOccurrence[index]) {
+      if (left.has(date.getTime())) left.set(date.getTime(), left.get(date.getTime()) + occurrence.held);
+    }
+  });
+
+  const conflicts = [];
+  occurrences.forEach((occurrence, index) => {
+    if (slotMinutes) {
+      const slotError = room.validateSlotRange(occurrence.startDate, occurrence.endDate);
+      if (slotError) {
+        conflicts.push({ index, reason: slotError, dates: [] });
+        return;
+      }
+    }
+
+    const days = daysByOccurrence[index];
+    const dates = days.filter(date => !left.has(date.getTime()) || left.get(date.getTime()) < quantity);
+    if (dates.length > 0) {
+      conflicts.push({ index, reason: 'Insufficient availability', dates });
+      return;
+    }
+    for (const date of days) left.set(date.getTime(), left.get(date.getTime()) - quantity);
+  });
+  return conflicts;
+}
+
+module.exports = {
+  expandOccurrences,
+  findConflicts,
+};
@@ -1,5 +1,6 @@
 const express = require('express');
 const api = require('./api');
+const scheduler = require('./scheduler');
 const config = require('../config/config.json');
 
 const port = process.env.PORT || config.server.port;
@@ -7,7 +8,7 @@ const port = process.env.PORT || config.server.port;
 
 // const router = express.Router();
 const app = express();
-app.use(express.json());
+// Request bodies are parsed by the API app (the payment webhook needs the raw bytes)
 
 // Mount API under /api/v1
 app.use('/', api);
@@ -30,6 +31,7 @@ app.use((err, req, res, next) => {
 const server = app.listen(port, '0.0.0.0', () => {
   console.log(`app running on port ${port}`);
   console.log(`resolved PORT env: ${process.env.PORT || 'unset'}, config.server.port: ${config.server.port}`);
+  scheduler.start();
 });
 
 server.on('error', (err) => {
@@ -0,0 +1,221 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config.json');
+const { acquireLock, releaseLock } = require('../redis');
+const {
+  mongoose, Room, Availability, Booking, WaitlistEntry, normalizeDate, serverInfo,
+} = require('../mongodb');
+const pricing = require('../pricing');
+const payments = require('../payments');
+const notifications = require('../notifications');
+const searchCache = require('../cache');
+const realtime = require('../realtime');
+
+/* CONFIG */
+const HOLD_MINUTES = config.waitlist.holdMinutes;
+
+// A range that has started can no longer be booked (same rule as POST /booking)
+function hasStarted(entry, now) {
+  const earliest = entry.slot_minutes ? now : normalizeDate(now, entry.timezone);
+  return entry.start_date < earliest;
+}
+
+/**
+ * Turn an entry whose units are already reserved into a booking, priced at the
+ * room's current rates. The booking is pending until paid (payments.chargeBooking
+ * or PATCH /bookings/:id/confirm) and released if unpaid by the payment deadline.
+ * @param {Object} entry - WaitlistEntry document (offered or being auto-booked)
+ * @param {Object} room - Room document
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Caller's transaction
+ * @returns {Promise<Object>} The Booking document
+ */
+async function bookEntry(entry, room, { session = null } = {}) {
+  const price = pricing.quote(room, {
+    startDate: entry.start_date,
+    endDate: entry.end_date,
+    slotMinutes: entry.slot_minutes,
+    quantity: entry.quantity,
+  });
+
+  const [booking] = await Booking.create(
+    [
+      {
+        user_id: entry.user_id,
+        room_id: entry.room_id,
+        start_date: entry.start_date,
+        end_date: entry.end_date,
+        slot_minutes: entry.slot_minutes,
+        timezone: entry.timezone,
+        quantity: entry.quantity,
+        price,
+        status: 'pending',
+        hold_expires_at: payments.paymentDeadline(),
+        notes: entry.notes || null,
+        contact_email: entry.contact_email,
+      },
+    ],
+    session ? { session } : undefined,
+  );
+  await notifications.notifyBooking('booking.created', booking, { session, room });
+
+  entry.status = 'booked';
+  entry.booking_id = booking._id;
+  entry.offer_expires_at = undefined;
+  await entry.save(session ? { session } : undefined);
+
+  return booking;
+}
+
+/**
+ * Give a room's free units to its waitlist, head of the queue first: each waiting
+ * entry whose whole range now has enough units gets them, either held for it as
+ * an offer (for config.waitlist.holdMinutes) or booked right away (auto_book,
+ * as a booking awaiting payment).
+ * Entries that cannot be served yet keep their place.
+ *
+ * Call with the room lock held, inside the caller's transaction, after units were
+ * released; the returned dates must be added to the caller's availability change.
+ * @param {ObjectId} roomId - Room ID
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Caller's transaction
+ * @returns {Promise<{entries: Object[], dates: Date[]}>} Entries offered or booked, and the dates they took
+ */
+async function fillFromWaitlist(roomId, { session = null } = {}) {
+  const saveOpts = session ? { session } : undefined;
+  const filled = { entries: [], dates: [] };
+
+  const roomFindQ = Room.findOne({ _id: roomId, is_active: true });
+  if (session) roomFindQ.session(session);
+  const room = await roomFindQ;
+  if (!room) return filled;
+
+  const queueQ = WaitlistEntry.findQueue(room._id);
+  if (session) queueQ.session(session);
+  const queue = await queueQ;
+
+  const now = new Date();
+  for (const entry of queue) {
+    if (hasStarted(entry, now)) {
+      entry.status = 'expired';
+      await entry.save(saveOpts);
+      continue;
+    }
+
+    // Check every day first so non-transactional mode never takes part of a range
+    const days = entry.getAvailabilityDates();
+    const availFindQ = Availability.find({ room_id: room._id, date: { $in: days } });
+    if (session) availFindQ.session(session);
+    const records = await availFindQ;
+    if (records.length !== days.length || records.some(r => r.available_units < entry.quantity)) continue;
+
+    const failedDate = await Availability.reserveUnits(room._id, days, entry.quantity, { session });
+    if (failedDate) throw new Error(`Waitlist could not reserve ${failedDate.toISOString()} for entry ${entry._id}`);
+
+    if (entry.auto_book) {
+      await bookEntry(entry, room, { session });
+    } else {
+      entry.status = 'offered';
+      entry.offered_at = now;
+      entry.offer_expires_at = new Date(now.getTime() + HOLD_MINUTES * 60 * 1000);
+      await entry.save(saveOpts);
+    }
+
+    filled.entries.push(entry);
+    filled.dates.push(...days);
+  }
+
+  return filled;
+}
+
+/**
+ * Give back the units held for an offered entry and close it
+ * @param {Object} entry - Offered WaitlistEntry document
+ * @param {string} status - 'declined', 'expired' or 'cancelled'
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Caller's transaction
+ * @returns {Promise<Date[]>} Dates whose units were released
+ */
+async function releaseOffer(entry, status, { session = null } = {}) {
+  const days = entry.getAvailabilityDates();
+  await Availability.releaseUnits(entry.room_id, days, entry.quantity, { session });
+
+  entry.status = status;
+  entry.offer_expires_at = undefined;
+  await entry.save(session ? { session } : undefined);
+
+  return days;
+}
+
+// Expire one room's lapsed offers and pass their units down the queue, under the
+// room lock in one transaction. Returns the number expired, or null if the room is busy.
+async function expireRoomOffers(roomId) {
+  const lockKey = `lock:room:${roomId}`;
+  const token = uuidv4();
+  const lock = await acquireLock(lockKey, token, config.booking.lockTimeout);
+  if (!lock) return null;
+
+  // Start a session only if server supports transactions
+  const session = serverInfo && serverInfo.transactionsSupported ? await mongoose.startSession() : null;
+
+  try {
+    if (session) await session.startTransaction();
+
+    const expiredQ = WaitlistEntry.find({
+      room_id: roomId,
+      status: 'offered',
+      offer_expires_at: { $lte: new Date() },
+    });
+    if (session) expiredQ.session(session);
+    const expired = await expiredQ;
+
+    const dates = [];
+    for (const entry of expired) {
+      dates.push(...await releaseOffer(entry, 'expired', { session }));
+    }
+    const filled = await fillFromWaitlist(roomId, { session });
+
+    if (session) await session.commitTransaction();
+
+    const changed = [...dates, ...filled.dates];
+    if (changed.length > 0) {
+      await searchCache.invalidateRoomDates(roomId, changed);
+      await realtime.publishAvailabilityChange(roomId, changed);
+    }
+    return expired.length;
+  } catch (err) {
+    if (session) await session.abortTransaction();
+    throw err;
+  } finally {
+    if (session) session.endSession();
+    await releaseLock(lockKey, token);
+  }
+}
+
+/**
+ * Expire offers whose hold window has passed, on every room. Rooms that are
+ * locked are skipped and picked up by the next sweep.
+ * @returns {Promise<number>} Number of offers expired
+ */
+async function expireOffers() {
+  const roomIds = await WaitlistEntry.distinct('room_id', {
+    status: 'offered',
+    offer_expires_at: { $lte: new Date() },
+  });
+
+  let total = 0;
+  for (const roomId of roomIds) {
+    try {
+      total += (await expireRoomOffers(roomId)) || 0;
+    } catch (err) {
+      console.error(`[waitlist] expiring offers for room ${roomId} failed:`, err && err.message ? err.message : err);
+    }
+  }
+  return total;
+}
+
+module.exports = {
+  fillFromWaitlist,
+  bookEntry,
+  releaseOffer,
+  expireOffers,
+};